@@ -5,6 +5,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
+const { EventEmitter } = require('events');
+const { Transform, pipeline } = require('stream');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const Ajv = require('ajv');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -12,18 +22,15 @@ const PORT = process.env.PORT || 8080;
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 
-const upload = multer({ 
-    dest: '/tmp/uploads/',
-    limits: { fileSize: 10 * 1024 * 1024 }
-});
-
 const TEMP_DIR = '/tmp';
 const OUTPUT_DIR = path.join(TEMP_DIR, 'output');
+const PROGRESS_INTERVAL_MS = 250;
 
 async function ensureDirectories() {
     try {
         await fs.mkdir(OUTPUT_DIR, { recursive: true });
-        await fs.mkdir('/tmp/uploads', { recursive: true });
+        await fs.mkdir(UPLOAD_DIR, { recursive: true });
+        await Promise.all(['index', 'objects', 'tmp'].map(dir => fs.mkdir(path.join(DOWNLOAD_CACHE_DIR, dir), { recursive: true })));
         await fs.mkdir('uploads', { recursive: true });
         await fs.mkdir('outputs', { recursive: true });
         await fs.mkdir('temp', { recursive: true });
@@ -32,519 +39,4383 @@ async function ensureDirectories() {
     }
 }
 
-async function downloadFile(url, filepath) {
-    const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'stream',
-        timeout: 30000
-    });
+const DOWNLOAD_LIMITS_MB = {
+    video: parseInt(process.env.DOWNLOAD_MAX_VIDEO_MB || '1024', 10),
+    audio: parseInt(process.env.DOWNLOAD_MAX_AUDIO_MB || '100', 10),
+    image: parseInt(process.env.DOWNLOAD_MAX_IMAGE_MB || '20', 10),
+    overlay: parseInt(process.env.DOWNLOAD_MAX_OVERLAY_MB || '50', 10),
+    subtitles: parseInt(process.env.DOWNLOAD_MAX_SUBTITLES_MB || '2', 10)
+};
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_TIMEOUT_MS || '30000', 10);
+const DOWNLOAD_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS || '3', 10);
+const DOWNLOAD_RETRY_BASE_MS = parseInt(process.env.DOWNLOAD_RETRY_BASE_MS || '1000', 10);
+const DOWNLOAD_MAX_REDIRECTS = 5;
+const DOWNLOAD_ALLOW_PRIVATE = process.env.DOWNLOAD_ALLOW_PRIVATE === 'true';
 
-    const writer = require('fs').createWriteStream(filepath);
-    response.data.pipe(writer);
+const RETRYABLE_DOWNLOAD_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_DOWNLOAD_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ERR_STREAM_PREMATURE_CLOSE'];
 
-    return new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-    });
+// Loopback, private, link-local (cloud metadata), CGNAT and unique-local ranges
+const PRIVATE_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+    ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6']
+];
+
+// Entries are host names, *.suffix wildcards, IPs or CIDR ranges
+function parseHostRules(value) {
+    const rules = { hosts: [], ranges: new net.BlockList(), empty: true };
+
+    for (const entry of String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        if (family) {
+            rules.ranges.addSubnet(address, prefix ? parseInt(prefix, 10) : (family === 4 ? 32 : 128), family === 4 ? 'ipv4' : 'ipv6');
+        } else {
+            rules.hosts.push(entry);
+        }
+        rules.empty = false;
+    }
+
+    return rules;
 }
 
-async function trimAudio(inputPath, outputPath, duration = 60) {
-    return new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
-            .setStartTime(0)
-            .setDuration(duration)
-            .output(outputPath)
-            .on('end', () => {
-                console.log('Audio trimming completed');
-                resolve();
-            })
-            .on('error', (err) => {
-                console.error('Audio trimming error:', err);
-                reject(err);
-            })
-            .run();
-    });
+const DOWNLOAD_ALLOW_RULES = parseHostRules(process.env.DOWNLOAD_ALLOW_HOSTS);
+const DOWNLOAD_DENY_RULES = parseHostRules(process.env.DOWNLOAD_DENY_HOSTS);
+const PRIVATE_BLOCK_LIST = new net.BlockList();
+PRIVATE_RANGES.forEach(([address, prefix, family]) => PRIVATE_BLOCK_LIST.addSubnet(address, prefix, family));
+
+function matchesHostRules(rules, hostname, address) {
+    const hostMatch = rules.hosts.some(rule => rule === hostname || (rule.startsWith('*.') && hostname.endsWith(rule.slice(1))));
+    if (hostMatch || !address) {
+        return hostMatch;
+    }
+
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return rules.ranges.check(address, family);
 }
 
-async function getVideoDuration(videoPath) {
-    return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(videoPath, (err, metadata) => {
-            if (err) {
-                reject(err);
-            } else {
-                const duration = metadata.format.duration;
-                resolve(duration);
-            }
-        });
-    });
+// Returns why a connection to hostname at address must not be made, or null
+function downloadTargetError(hostname, address) {
+    // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+    const ip = /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address) ? address.slice(7) : address;
+    const family = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+
+    if (matchesHostRules(DOWNLOAD_DENY_RULES, hostname, ip)) {
+        return `points to a denied host (${hostname === ip ? ip : `${hostname} resolves to ${ip}`})`;
+    }
+
+    const allowed = matchesHostRules(DOWNLOAD_ALLOW_RULES, hostname, ip);
+    if (!DOWNLOAD_ALLOW_RULES.empty && !allowed) {
+        return `points to a host outside DOWNLOAD_ALLOW_HOSTS (${hostname})`;
+    }
+
+    if (!allowed && !DOWNLOAD_ALLOW_PRIVATE && PRIVATE_BLOCK_LIST.check(ip, family)) {
+        return `points to a private or loopback address (${hostname} resolves to ${ip})`;
+    }
+
+    return null;
 }
 
-async function getVideoDimensions(videoPath) {
-    return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(videoPath, (err, metadata) => {
-            if (err) {
-                reject(err);
-            } else {
-                const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-                resolve({
-                    width: videoStream.width,
-                    height: videoStream.height
-                });
-            }
-        });
-    });
+function blockedDownloadError(reason) {
+    const error = new Error(reason);
+    error.code = 'EDOWNLOADBLOCKED';
+    return error;
 }
 
-async function hasAudioStream(videoPath) {
-    return new Promise((resolve) => {
-        ffmpeg.ffprobe(videoPath, (err, metadata) => {
-            if (err) {
-                resolve(false);
-            } else {
-                const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
-                resolve(hasAudio);
-            }
-        });
+// Checking the resolved address at connect time also covers redirects and DNS rebinding
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.map(entry => downloadTargetError(hostname.toLowerCase(), entry.address)).find(Boolean);
+        if (blocked) {
+            return callback(blockedDownloadError(blocked));
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
     });
 }
 
-async function stitchVideos(videoPaths, outputPath) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const audioChecks = await Promise.all(videoPaths.map(hasAudioStream));
-            const hasAnyAudio = audioChecks.some(hasAudio => hasAudio);
-            
-            const command = ffmpeg();
-            
-            videoPaths.forEach(videoPath => {
-                command.input(videoPath);
-            });
+const downloadAgents = {
+    http: new http.Agent({ lookup: guardedLookup }),
+    https: new https.Agent({ lookup: guardedLookup })
+};
 
-            if (hasAnyAudio) {
-                const filterComplex = videoPaths.map((_, index) => {
-                    return audioChecks[index] ? `[${index}:v][${index}:a]` : `[${index}:v][${index}:v]`;
-                }).join('') + `concat=n=${videoPaths.length}:v=1:a=1[outv][outa]`;
+// Literal IPs never reach the lookup, so they are checked before each request and redirect
+function checkDownloadUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw blockedDownloadError('is not a valid URL');
+    }
 
-                command
-                    .complexFilter(filterComplex)
-                    .outputOptions(['-map', '[outv]', '-map', '[outa]']);
-            } else {
-                const filterComplex = videoPaths.map((_, index) => `[${index}:v]`).join('') + 
-                                     `concat=n=${videoPaths.length}:v=1:a=0[outv]`;
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw blockedDownloadError('must use http or https');
+    }
 
-                command
-                    .complexFilter(filterComplex)
-                    .outputOptions(['-map', '[outv]']);
-            }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const reason = net.isIP(hostname) ? downloadTargetError(hostname, hostname) : (matchesHostRules(DOWNLOAD_DENY_RULES, hostname) ? `points to a denied host (${hostname})` : null);
+    if (reason) {
+        throw blockedDownloadError(reason);
+    }
+}
 
-            command
-                .output(outputPath)
-                .on('end', () => {
-                    console.log('Video stitching completed');
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('Video stitching error:', err);
-                    reject(err);
-                })
-                .run();
+function describeDownloadError(error, label) {
+    // Errors thrown from beforeRedirect arrive wrapped by follow-redirects and axios
+    let blocked = error;
+    while (blocked && blocked.code !== 'EDOWNLOADBLOCKED') {
+        blocked = blocked.cause;
+    }
+    if (blocked) {
+        return new Error(`${label} URL ${blocked.message}`);
+    }
+
+    let message;
+    if (error.code === 'ENOTFOUND') {
+        message = `${label} URL host could not be resolved`;
+    } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        message = `${label} URL timed out after ${DOWNLOAD_TIMEOUT_MS}ms`;
+    } else if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+        message = `${label} URL redirected more than ${DOWNLOAD_MAX_REDIRECTS} times`;
+    } else {
+        message = `${label} URL download failed: ${error.message}`;
+    }
+
+    const described = new Error(message);
+    described.retryable = RETRYABLE_DOWNLOAD_ERRORS.includes(error.code);
+    return described;
+}
+
+const DOWNLOAD_CONCURRENCY = Math.max(parseInt(process.env.DOWNLOAD_CONCURRENCY || '3', 10), 1);
+const DOWNLOAD_CACHE_DIR = process.env.DOWNLOAD_CACHE_DIR || path.join(TEMP_DIR, 'download-cache');
+// 0 turns the cache off; everything is then downloaded per job
+const DOWNLOAD_CACHE_MAX_MB = parseInt(process.env.DOWNLOAD_CACHE_MAX_MB || '2048', 10);
+
+// Objects are stored by content hash so URLs serving identical bytes share one file; the index maps URL to validators and hash
+function cacheIndexPath(url) {
+    return path.join(DOWNLOAD_CACHE_DIR, 'index', `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+}
+
+function cacheObjectPath(hash) {
+    return path.join(DOWNLOAD_CACHE_DIR, 'objects', hash);
+}
+
+async function readCacheEntry(url) {
+    if (!DOWNLOAD_CACHE_MAX_MB) {
+        return null;
+    }
+
+    try {
+        const entry = JSON.parse(await fs.readFile(cacheIndexPath(url), 'utf8'));
+        return entry.url === url ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeCacheEntry(entry) {
+    await fs.writeFile(cacheIndexPath(entry.url), JSON.stringify(entry, null, 2));
+}
+
+// Inputs are hard-linked out of the cache; callers always write a fresh path so cached objects are never modified in place
+async function linkFile(source, target) {
+    await fs.rm(target, { force: true });
+    await fs.link(source, target).catch(() => fs.copyFile(source, target));
+}
+
+async function storeCacheObject(tempPath, entry) {
+    const objectPath = cacheObjectPath(entry.hash);
+    const existing = await fs.stat(objectPath).catch(() => null);
+
+    if (existing) {
+        await fs.rm(tempPath, { force: true });
+    } else {
+        await fs.rename(tempPath, objectPath);
+    }
+    await writeCacheEntry(entry);
+    return objectPath;
+}
+
+// Least recently used entries go first; an object is deleted once no URL refers to it
+async function sweepDownloadCache() {
+    if (!DOWNLOAD_CACHE_MAX_MB) {
+        return;
+    }
+
+    const indexDir = path.join(DOWNLOAD_CACHE_DIR, 'index');
+    const entries = [];
+    for (const file of await fs.readdir(indexDir).catch(() => [])) {
+        try {
+            entries.push({ file: file, ...JSON.parse(await fs.readFile(path.join(indexDir, file), 'utf8')) });
         } catch (error) {
-            reject(error);
+            await fs.rm(path.join(indexDir, file), { force: true });
         }
-    });
+    }
+
+    const objectSizes = new Map(entries.map(entry => [entry.hash, entry.size]));
+    let totalBytes = [...objectSizes.values()].reduce((total, size) => total + size, 0);
+    const quotaBytes = DOWNLOAD_CACHE_MAX_MB * 1024 * 1024;
+
+    entries.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+    while (totalBytes > quotaBytes && entries.length > 0) {
+        const entry = entries.shift();
+        await fs.rm(path.join(indexDir, entry.file), { force: true });
+
+        if (!entries.some(other => other.hash === entry.hash)) {
+            await fs.rm(cacheObjectPath(entry.hash), { force: true });
+            totalBytes -= entry.size;
+            console.log(`Evicted cached download ${entry.url}`);
+        }
+    }
 }
 
-async function addAudioAndOverlayToVideo(videoPath, audioPath, outputPath, overlayImagePath = null, overlayOptions = {}) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const command = ffmpeg(videoPath);
-            command.input(audioPath);
-            
-            const videoHasAudio = await hasAudioStream(videoPath);
-            
-            if (overlayImagePath) {
-                command.input(overlayImagePath);
-                
-                const {
-                    position = 'bottom-right',
-                    size = '150',
-                    margin = '20',
-                    opacity = '1.0'
-                } = overlayOptions;
-                
-                let x, y;
-                switch (position) {
-                    case 'top-left':
-                        x = margin;
-                        y = margin;
-                        break;
-                    case 'top-right':
-                        x = `W-w-${margin}`;
-                        y = margin;
-                        break;
-                    case 'bottom-left':
-                        x = margin;
-                        y = `H-h-${margin}`;
-                        break;
-                    case 'bottom-right':
-                    default:
-                        x = `W-w-${margin}`;
-                        y = `H-h-${margin}`;
-                        break;
-                }
-                
-                if (videoHasAudio) {
-                    const complexFilter = `[2:v]scale=${size}:-1[overlay]; [0:v][overlay]overlay=${x}:${y}:format=auto,format=yuv420p[v]; [1:a]volume=-2dB[music]; [0:a][music]amix=inputs=2:duration=shortest[mixedaudio]`;
-                    
-                    command
-                        .complexFilter(complexFilter)
-                        .outputOptions([
-                            '-map', '[v]',
-                            '-map', '[mixedaudio]',
-                            '-c:a', 'aac',
-                            '-shortest'
-                        ]);
-                } else {
-                    const overlayFilter = `[2:v]scale=${size}:-1[overlay]; [0:v][overlay]overlay=${x}:${y}:format=auto,format=yuv420p[v]; [1:a]volume=-2dB[music]`;
-                    
-                    command
-                        .complexFilter(overlayFilter)
-                        .outputOptions([
-                            '-map', '[v]',
-                            '-map', '[music]',
-                            '-c:a', 'aac',
-                            '-shortest'
-                        ]);
-                }
-            } else {
-                if (videoHasAudio) {
-                    const audioFilter = `[1:a]volume=-2dB[music]; [0:a][music]amix=inputs=2:duration=shortest[mixedaudio]`;
-                    
-                    command
-                        .complexFilter(audioFilter)
-                        .outputOptions([
-                            '-map', '0:v:0',
-                            '-map', '[mixedaudio]',
-                            '-c:v', 'copy',
-                            '-c:a', 'aac',
-                            '-shortest'
-                        ]);
-                } else {
-                    command
-                        .complexFilter('[1:a]volume=-2dB[music]')
-                        .outputOptions([
-                            '-map', '0:v:0',
-                            '-map', '[music]',
-                            '-c:v', 'copy',
-                            '-c:a', 'aac',
-                            '-shortest'
-                        ]);
-                }
+// Runs worker over items with at most limit in flight; after a failure no new items start and the first error is thrown once the others settle
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || error;
             }
+        }
+    });
 
-            command
-                .output(outputPath)
-                .on('end', () => {
-                    console.log('Audio mixing and overlay processing completed');
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('Audio mixing and overlay processing error:', err);
-                    reject(err);
-                })
-                .run();
+    await Promise.all(runners);
+    if (failure) {
+        throw failure;
+    }
+    return results;
+}
+
+// Cached URLs are revalidated with their ETag or Last-Modified; a 304 links the stored object instead of downloading
+async function fetchToFile(url, filepath, type, label, onProgress) {
+    const cached = await readCacheEntry(url);
+    const conditionalHeaders = {};
+    if (cached && cached.etag) {
+        conditionalHeaders['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.lastModified) {
+        conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+    }
+
+    let response;
+    try {
+        checkDownloadUrl(url);
+        response = await axios({
+            method: 'GET',
+            url: url,
+            headers: conditionalHeaders,
+            responseType: 'stream',
+            timeout: DOWNLOAD_TIMEOUT_MS,
+            maxRedirects: DOWNLOAD_MAX_REDIRECTS,
+            beforeRedirect: (options) => checkDownloadUrl(options.href || `${options.protocol}//${options.hostname}${options.path}`),
+            httpAgent: downloadAgents.http,
+            httpsAgent: downloadAgents.https,
+            // A proxy would resolve the target itself and bypass the address checks
+            proxy: false,
+            validateStatus: () => true
+        });
+    } catch (error) {
+        throw describeDownloadError(error, label);
+    }
+
+    if (response.status === 304 && cached) {
+        response.data.destroy();
+        try {
+            await linkFile(cacheObjectPath(cached.hash), filepath);
         } catch (error) {
-            reject(error);
+            // The object was evicted under us; drop the entry and let the retry download it again
+            await fs.rm(cacheIndexPath(url), { force: true });
+            error.retryable = true;
+            throw error;
+        }
+
+        await writeCacheEntry({ ...cached, lastUsedAt: new Date().toISOString() });
+        if (onProgress) {
+            onProgress({ receivedBytes: cached.size, totalBytes: cached.size, done: true, cached: true });
+        }
+        return { contentType: cached.contentType, cache: 'hit', bytes: cached.size };
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+        response.data.destroy();
+        const error = new Error(`${label} URL returned ${response.status}`);
+        error.retryable = RETRYABLE_DOWNLOAD_STATUSES.includes(response.status);
+        throw error;
+    }
+
+    const limitMB = type ? DOWNLOAD_LIMITS_MB[type] : null;
+    const limitBytes = limitMB ? limitMB * 1024 * 1024 : Infinity;
+    const totalBytes = parseInt(response.headers['content-length'], 10) || null;
+
+    if (totalBytes && totalBytes > limitBytes) {
+        response.data.destroy();
+        throw new Error(`${label} URL is ${(totalBytes / (1024 * 1024)).toFixed(1)} MB, over the ${limitMB} MB limit for ${type} inputs`);
+    }
+
+    let receivedBytes = 0;
+    let lastReportAt = 0;
+    const hash = crypto.createHash('sha256');
+    const counter = new Transform({
+        transform(chunk, encoding, next) {
+            receivedBytes += chunk.length;
+            hash.update(chunk);
+            if (receivedBytes > limitBytes) {
+                const error = new Error(`${label} URL sent more than the ${limitMB} MB limit for ${type} inputs`);
+                error.code = 'EDOWNLOADLIMIT';
+                return next(error);
+            }
+            if (onProgress && Date.now() - lastReportAt >= PROGRESS_INTERVAL_MS) {
+                lastReportAt = Date.now();
+                onProgress({ receivedBytes, totalBytes });
+            }
+            next(null, chunk);
         }
     });
+
+    const tempPath = path.join(DOWNLOAD_CACHE_DIR, 'tmp', uuidv4());
+    await new Promise((resolve, reject) => {
+        pipeline(response.data, counter, require('fs').createWriteStream(tempPath), (error) => {
+            if (!error) {
+                return resolve();
+            }
+            fs.rm(tempPath, { force: true }).catch(() => {});
+            reject(error.code === 'EDOWNLOADLIMIT' ? error : describeDownloadError(error, label));
+        });
+    });
+
+    if (onProgress) {
+        onProgress({ receivedBytes, totalBytes, done: true });
+    }
+
+    const contentType = response.headers['content-type'] || null;
+    const etag = response.headers.etag || null;
+    const lastModified = response.headers['last-modified'] || null;
+
+    // Responses without validators could change under the same URL, so they are not cached
+    if (DOWNLOAD_CACHE_MAX_MB && (etag || lastModified)) {
+        const now = new Date().toISOString();
+        const objectPath = await storeCacheObject(tempPath, {
+            url: url,
+            etag: etag,
+            lastModified: lastModified,
+            hash: hash.digest('hex'),
+            size: receivedBytes,
+            contentType: contentType,
+            storedAt: now,
+            lastUsedAt: now
+        });
+        await linkFile(objectPath, filepath);
+    } else {
+        await fs.rename(tempPath, filepath);
+    }
+
+    return { contentType: contentType, cache: 'miss', bytes: receivedBytes };
 }
 
-async function addOverlayToImage(baseImagePath, overlayImagePath, outputPath, overlayOptions = {}) {
-    return new Promise((resolve, reject) => {
-        const {
-            position = 'bottom-right',
-            size = '150',        // Same as video: 150px width
-            margin = '20'        // Same as video: 20px margin
-        } = overlayOptions;
-        
-        // Use exact same positioning logic as video overlay
-        let x, y;
-        switch (position) {
-            case 'top-left':
-                x = margin;
-                y = margin;
-                break;
-            case 'top-right':
-                x = `W-w-${margin}`;
-                y = margin;
-                break;
-            case 'bottom-left':
-                x = margin;
-                y = `H-h-${margin}`;
-                break;
-            case 'bottom-right':
-            default:
-                x = `W-w-${margin}`;
-                y = `H-h-${margin}`;
-                break;
-        }
-        
-        // Use same filter approach as video: scale overlay to size, then position
-        ffmpeg()
-            .input(baseImagePath)
-            .input(overlayImagePath)
-            .complexFilter(`[1:v]scale=${size}:-1[overlay]; [0:v][overlay]overlay=${x}:${y}[out]`)
-            .outputOptions([
-                '-map', '[out]',
-                '-vframes', '1'
-            ])
-            .output(outputPath)
-            .on('end', () => {
-                console.log('Image overlay processing completed');
-                resolve();
-            })
-            .on('error', (err) => {
-                console.error('Image overlay processing error:', err);
-                // If FFmpeg fails, just copy the original image
-                require('fs').createReadStream(baseImagePath).pipe(require('fs').createWriteStream(outputPath))
-                    .on('close', () => {
-                        console.log('Fallback: returned original image without overlay');
-                        resolve();
-                    })
-                    .on('error', reject);
-            })
-            .run();
+const IMAGE_SIGNATURES = [
+    { format: 'PNG', test: (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { format: 'JPEG', test: (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff },
+    { format: 'GIF', test: (header) => header.subarray(0, 4).toString('latin1') === 'GIF8' },
+    { format: 'WebP', test: (header) => header.subarray(0, 4).toString('latin1') === 'RIFF' && header.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+function probeStreams(filepath) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(filepath, (err, metadata) => resolve(err ? null : metadata.streams.map(stream => stream.codec_type)));
     });
 }
 
-app.post('/api/add-overlay', async (req, res) => {
-    const jobId = uuidv4();
-    console.log(`Starting overlay job ${jobId}`);
-    
+// Checks that what arrived is the kind of media the pipeline expects before ffmpeg gets to it
+async function validateDownloadedFile(filepath, type, label, contentType = null) {
+    const served = contentType ? ` (served as ${contentType.split(';')[0]})` : '';
+    const handle = await fs.open(filepath, 'r');
+    const header = Buffer.alloc(4096);
+    let bytesRead;
     try {
-        const { final_stitch_video, final_music_url, overlay_image_url, overlay_options } = req.body;
-        
-        if (!final_stitch_video || !final_music_url) {
-            return res.status(400).json({ 
-                error: 'Invalid input. Expected final_stitch_video and final_music_url' 
-            });
+        ({ bytesRead } = await handle.read(header, 0, header.length, 0));
+    } finally {
+        await handle.close();
+    }
+
+    if (bytesRead === 0) {
+        throw new Error(`${label} URL returned an empty file`);
+    }
+
+    if (type === 'subtitles') {
+        if (header.subarray(0, bytesRead).includes(0)) {
+            throw new Error(`${label} URL did not return a text subtitle file${served}`);
+        }
+        return;
+    }
+
+    const isImage = IMAGE_SIGNATURES.some(signature => signature.test(header));
+    if (type === 'image') {
+        if (!isImage) {
+            throw new Error(`${label} URL did not return a PNG, JPEG, GIF or WebP image${served}`);
         }
+        return;
+    }
+    if (type === 'overlay' && isImage) {
+        return;
+    }
+
+    const streams = await probeStreams(filepath);
+    const expected = type === 'audio' ? 'audio' : 'video';
+    if (!streams) {
+        throw new Error(`${label} URL did not return a readable ${type === 'overlay' ? 'image or video' : type} file${served}`);
+    }
+    if (!streams.includes(expected)) {
+        throw new Error(`${label} URL has no ${expected} stream`);
+    }
+}
+
+// type picks the size cap and content check (video, audio, image, overlay or subtitles); label names the input in errors
+async function downloadFile(url, filepath, { type = null, label = 'input', onProgress = null } = {}) {
+    let fetched = { contentType: null, cache: null, bytes: 0 };
+
+    if (parseUploadReference(url)) {
+        await copyUpload(url, filepath, onProgress);
+    } else {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                fetched = await fetchToFile(url, filepath, type, label, onProgress);
+                break;
+            } catch (error) {
+                if (!error.retryable || attempt >= DOWNLOAD_MAX_ATTEMPTS) {
+                    if (attempt > 1) {
+                        error.message = `${error.message} after ${attempt} attempts`;
+                    }
+                    throw error;
+                }
+
+                const delay = DOWNLOAD_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+                console.warn(`${error.message} on attempt ${attempt}, retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    if (type) {
+        await validateDownloadedFile(filepath, type, label, fetched.contentType);
+    }
+
+    return fetched;
+}
+
+// Tallies cache use per job; the totals are reported as downloadCache in the result
+async function downloadJobInput(job, url, filepath, type, label) {
+    const fetched = await downloadFile(url, filepath, { type: type, label: label, onProgress: downloadProgress(job, label) });
+
+    if (fetched.cache) {
+        const stats = job.downloadCache || (job.downloadCache = { hits: 0, misses: 0, bytesFromCache: 0, bytesDownloaded: 0 });
+        if (fetched.cache === 'hit') {
+            stats.hits += 1;
+            stats.bytesFromCache += fetched.bytes;
+        } else {
+            stats.misses += 1;
+            stats.bytesDownloaded += fetched.bytes;
+        }
+    }
+
+    return fetched;
+}
+
+const UPLOAD_DIR = path.join(TEMP_DIR, 'uploads');
+const UPLOAD_LIMITS_MB = {
+    video: parseInt(process.env.UPLOAD_MAX_VIDEO_MB || '1024', 10),
+    audio: parseInt(process.env.UPLOAD_MAX_AUDIO_MB || '100', 10),
+    image: parseInt(process.env.UPLOAD_MAX_IMAGE_MB || '20', 10)
+};
+const UPLOAD_EXTENSIONS = {
+    video: ['.mp4', '.mov', '.m4v', '.webm', '.mkv', '.avi'],
+    audio: ['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.flac'],
+    image: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.apng']
+};
+const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS || '24', 10);
+const MAX_UPLOAD_PARTS = 40;
+
+// Top-level fields whose URL can be replaced by a multipart part of the same name
+const UPLOAD_INPUT_FIELDS = ['final_stitch_video', 'final_music_url', 'mv_audio', 'final_image_url', 'overlay_image_url'];
+// Multipart forms carry structured options as JSON strings
+const MULTIPART_JSON_FIELDS = ['videos', 'overlays', 'overlay_options', 'text_overlays', 'music_options', 'mix_options', 'transition', 'normalize', 'outputs', 'previews', 'hls'];
+
+const activeUploadWrites = new Set();
+
+function isUploadId(uploadId) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(uploadId);
+}
+
+function uploadPath(uploadId) {
+    return path.join(UPLOAD_DIR, uploadId);
+}
+
+function uploadRecordPath(uploadId) {
+    return path.join(UPLOAD_DIR, `${uploadId}.json`);
+}
+
+// The declared content type wins; clients that send application/octet-stream are judged by extension
+function uploadMediaType(filename, contentType) {
+    const kind = String(contentType || '').split('/')[0];
+    if (Object.hasOwn(UPLOAD_LIMITS_MB, kind)) {
+        return kind;
+    }
+
+    const extension = path.extname(String(filename || '')).toLowerCase();
+    return Object.keys(UPLOAD_EXTENSIONS).find(type => UPLOAD_EXTENSIONS[type].includes(extension)) || null;
+}
+
+async function readUploadRecord(uploadId) {
+    if (!isUploadId(uploadId)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(await fs.readFile(uploadRecordPath(uploadId), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeUploadRecord(record) {
+    await fs.writeFile(uploadRecordPath(record.uploadId), JSON.stringify(record, null, 2));
+}
+
+// Bytes on disk are the source of truth for how far a resumable upload got
+async function uploadReceivedBytes(uploadId) {
+    const stats = await fs.stat(uploadPath(uploadId)).catch(() => null);
+    return stats ? stats.size : 0;
+}
+
+async function removeUpload(uploadId) {
+    await fs.rm(uploadPath(uploadId), { force: true });
+    await fs.rm(uploadRecordPath(uploadId), { force: true });
+}
+
+function uploadReference(record) {
+    return `upload://${record.uploadId}/${encodeURIComponent(record.filename)}`;
+}
+
+function parseUploadReference(url) {
+    const match = /^upload:\/\/([^/]+)/i.exec(String(url || ''));
+    return match ? match[1].toLowerCase() : null;
+}
+
+async function describeUpload(record) {
+    const receivedBytes = await uploadReceivedBytes(record.uploadId);
+    return {
+        uploadId: record.uploadId,
+        filename: record.filename,
+        mediaType: record.mediaType,
+        size: record.size,
+        receivedBytes: receivedBytes,
+        complete: receivedBytes === record.size,
+        reference: uploadReference(record),
+        uploadUrl: `/api/uploads/${record.uploadId}`,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt
+    };
+}
+
+// Jobs hard-link uploads into their work dir so one upload can feed several scenes or jobs
+async function copyUpload(url, filepath, onProgress = null) {
+    const uploadId = parseUploadReference(url);
+    const record = await readUploadRecord(uploadId);
+    if (!record) {
+        throw new Error(`Upload ${uploadId} has expired or was deleted`);
+    }
+
+    await fs.rm(filepath, { force: true });
+    await fs.link(uploadPath(uploadId), filepath).catch(() => fs.copyFile(uploadPath(uploadId), filepath));
+
+    if (onProgress) {
+        onProgress({ receivedBytes: record.size, totalBytes: record.size, done: true });
+    }
+}
+
+// Streams each part straight to UPLOAD_DIR and stops as soon as it passes the limit for its media type
+function createUploadStorage() {
+    return {
+        _handleFile(req, file, cb) {
+            const mediaType = uploadMediaType(file.originalname, file.mimetype);
+            if (!mediaType) {
+                return cb(new Error(`${file.fieldname} must be a video, audio or image file`));
+            }
+
+            const uploadId = uuidv4();
+            const limitBytes = UPLOAD_LIMITS_MB[mediaType] * 1024 * 1024;
+            let size = 0;
+            const counter = new Transform({
+                transform(chunk, encoding, next) {
+                    size += chunk.length;
+                    if (size > limitBytes) {
+                        const error = new Error(`${file.fieldname} exceeds the ${UPLOAD_LIMITS_MB[mediaType]} MB limit for ${mediaType} uploads`);
+                        error.statusCode = 413;
+                        return next(error);
+                    }
+                    next(null, chunk);
+                }
+            });
+
+            pipeline(file.stream, counter, require('fs').createWriteStream(uploadPath(uploadId)), async (error) => {
+                if (error) {
+                    await fs.rm(uploadPath(uploadId), { force: true });
+                    return cb(error);
+                }
+
+                const record = {
+                    uploadId: uploadId,
+                    filename: path.basename(file.originalname || file.fieldname),
+                    mediaType: mediaType,
+                    contentType: file.mimetype,
+                    size: size,
+                    owner: req.apiKey ? req.apiKey.name : null,
+                    createdAt: new Date().toISOString(),
+                    expiresAt: null
+                };
+                await writeUploadRecord(record);
+                cb(null, { uploadId: uploadId, path: uploadPath(uploadId), size: size, mediaType: mediaType });
+            });
+        },
+        _removeFile(req, file, cb) {
+            removeUpload(file.uploadId).then(() => cb(null), cb);
+        }
+    };
+}
+
+const upload = multer({
+    storage: createUploadStorage(),
+    limits: { files: MAX_UPLOAD_PARTS }
+});
+
+// Multipart forms carry structured fields as JSON strings
+function parseMultipartFields(body) {
+    for (const field of MULTIPART_JSON_FIELDS) {
+        if (typeof body[field] === 'string') {
+            try {
+                body[field] = JSON.parse(body[field]);
+            } catch (error) {
+                // transition also takes a bare name such as crossfade
+                if (field === 'transition') {
+                    continue;
+                }
+                return `Invalid input. ${field} must be valid JSON in multipart requests`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Swaps multipart parts and upload ids for canonical upload:// references that downloadFile understands
+async function resolveUploadInputs(body, files, apiKey) {
+    const parts = new Map();
+    for (const file of files) {
+        if (parts.has(file.fieldname)) {
+            return `Invalid input. Only one file can be uploaded as ${file.fieldname}`;
+        }
+        parts.set(file.fieldname, file);
+    }
+
+    const referenced = new Set();
+    const claimPart = (name) => {
+        const part = parts.get(name);
+        if (!part) {
+            return null;
+        }
+        referenced.add(name);
+        return `upload://${part.uploadId}`;
+    };
+
+    for (const field of UPLOAD_INPUT_FIELDS) {
+        const reference = claimPart(field);
+        if (reference) {
+            body[field] = reference;
+        }
+    }
+
+    const entries = [
+        ...(Array.isArray(body.videos) ? body.videos.map((entry, index) => ({ entry, field: `videos[${index}]`, urlKey: 'final_video_url' })) : []),
+        ...(Array.isArray(body.overlays) ? body.overlays.map((entry, index) => ({ entry, field: `overlays[${index}]`, urlKey: 'url' })) : [])
+    ].filter(({ entry }) => entry && typeof entry === 'object');
+
+    for (const { entry, field, urlKey } of entries) {
+        if (entry.file !== undefined) {
+            const reference = claimPart(entry.file);
+            if (!reference) {
+                return `Invalid input. ${field}.file refers to "${entry.file}", which is not an uploaded part`;
+            }
+            entry[urlKey] = reference;
+            delete entry.file;
+        } else if (entry.upload_id !== undefined) {
+            entry[urlKey] = `upload://${entry.upload_id}`;
+            delete entry.upload_id;
+        }
+    }
+
+    const unreferenced = [...parts.keys()].find(name => !referenced.has(name));
+    if (unreferenced) {
+        return `Invalid input. Uploaded part ${unreferenced} is not used by any input`;
+    }
+
+    const targets = [
+        ...UPLOAD_INPUT_FIELDS.map(field => ({ owner: body, key: field, field: field })),
+        ...entries.map(({ entry, field, urlKey }) => ({ owner: entry, key: urlKey, field: field }))
+    ];
+
+    for (const { owner, key, field } of targets) {
+        const uploadId = parseUploadReference(owner[key]);
+        if (!uploadId) {
+            continue;
+        }
+
+        const record = await readUploadRecord(uploadId);
+        if (!record || !canAccessOwner(apiKey, record.owner)) {
+            return `Invalid input. ${field} refers to unknown upload ${uploadId}`;
+        }
+        const receivedBytes = await uploadReceivedBytes(uploadId);
+        if (receivedBytes !== record.size) {
+            return `Invalid input. ${field} refers to upload ${uploadId}, which has ${receivedBytes} of ${record.size} bytes`;
+        }
+        owner[key] = uploadReference(record);
+    }
+
+    body.uploads = files.map(file => file.uploadId);
+    return null;
+}
+
+// Parts that never make it into a job are removed once the response is sent
+function acceptUploads(req, res, next) {
+    upload.any()(req, res, async (error) => {
+        const files = req.files || [];
+        res.on('finish', () => {
+            if (res.statusCode >= 400) {
+                files.forEach(file => removeUpload(file.uploadId).catch(() => {}));
+            }
+        });
+
+        if (error) {
+            return res.status(error.statusCode || 400).json({ error: `Invalid upload: ${error.message}` });
+        }
+
+        try {
+            const uploadError = (req.is('multipart/form-data') && parseMultipartFields(req.body)) ||
+                await resolveUploadInputs(req.body, files, req.apiKey);
+            if (uploadError) {
+                return res.status(400).json({ error: uploadError });
+            }
+            next();
+        } catch (resolveError) {
+            next(resolveError);
+        }
+    });
+}
+
+// One-shot parts belong to the job they came with; resumable uploads live until their own TTL
+async function removeRequestUploads(job) {
+    const uploadIds = (job.request && job.request.uploads) || [];
+    await Promise.all(uploadIds.map(uploadId => removeUpload(uploadId)));
+}
+
+async function sweepUploads() {
+    const files = await fs.readdir(UPLOAD_DIR).catch(() => []);
+    const now = new Date().toISOString();
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        const record = await readUploadRecord(path.basename(file, '.json'));
+        if (record && record.expiresAt && record.expiresAt <= now && !activeUploadWrites.has(record.uploadId)) {
+            await removeUpload(record.uploadId);
+            console.log(`Removed expired upload ${record.uploadId}`);
+        }
+    }
+}
+
+function timemarkToSeconds(timemark) {
+    const [hours, minutes, seconds] = String(timemark).split(':').map(parseFloat);
+    return (hours * 3600) + (minutes * 60) + seconds;
+}
+
+// fluent-ffmpeg only computes its own percent for single-input commands, so measure against the expected output length instead
+function trackFfmpegProgress(command, expectedDuration, onProgress) {
+    if (!onProgress) {
+        return command;
+    }
+
+    let lastReportAt = 0;
+
+    return command
+        .on('progress', (progress) => {
+            if (Date.now() - lastReportAt < PROGRESS_INTERVAL_MS) {
+                return;
+            }
+            lastReportAt = Date.now();
+
+            const processedSeconds = timemarkToSeconds(progress.timemark);
+            onProgress({
+                processedSeconds: processedSeconds,
+                expectedDuration: expectedDuration,
+                percent: expectedDuration ? Math.min(100, Math.round((processedSeconds / expectedDuration) * 1000) / 10) : null
+            });
+        })
+        .on('end', () => onProgress({ processedSeconds: expectedDuration, expectedDuration: expectedDuration, percent: 100 }));
+}
+
+async function trimAudio(inputPath, outputPath, options = {}, onProgress = null) {
+    const { start = 0, duration = 60, fadeIn = 0, fadeOut = 0 } = options;
+    const sourceDuration = await getVideoDuration(inputPath);
+
+    if (start >= sourceDuration) {
+        throw new Error(`Music start offset ${start}s is beyond the end of the ${sourceDuration.toFixed(2)}s track`);
+    }
+
+    const looped = duration > sourceDuration - start;
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath);
+
+        if (looped) {
+            command.inputOptions(['-stream_loop', '-1']);
+        }
+
+        command
+            .setStartTime(start)
+            .setDuration(duration)
+            .noVideo();
+
+        const fades = [];
+        if (fadeIn > 0) {
+            fades.push(`afade=t=in:st=0:d=${fadeIn}`);
+        }
+        if (fadeOut > 0) {
+            fades.push(`afade=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}`);
+        }
+        if (fades.length > 0) {
+            command.audioFilters(fades);
+        }
+
+        trackFfmpegProgress(command, duration, onProgress)
+            .output(outputPath)
+            .on('end', () => {
+                console.log('Audio trimming completed');
+                resolve({ sourceDuration, looped });
+            })
+            .on('error', (err) => {
+                console.error('Audio trimming error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+const MUSIC_OUTPUT_LENGTHS = ['video', 'music'];
+
+// Works out how long the output runs and which slice of the music track plays under it
+function planMusicTrack(musicOptions, videoDuration, musicDuration) {
+    const options = musicOptions || {};
+    const start = options.start || 0;
+    const outputLength = options.output_length || 'video';
+
+    let outputDuration;
+    if (outputLength === 'video') {
+        outputDuration = videoDuration;
+    } else if (outputLength === 'music') {
+        outputDuration = options.duration || Math.max(0, musicDuration - start);
+    } else {
+        outputDuration = outputLength;
+    }
+
+    const duration = Math.min(options.duration || outputDuration, outputDuration);
+
+    return {
+        start: start,
+        duration: duration,
+        fadeIn: Math.min(options.fade_in || 0, duration),
+        fadeOut: Math.min(options.fade_out || 0, duration),
+        outputLength: outputLength,
+        outputDuration: outputDuration
+    };
+}
+
+const DUCKING_DEFAULTS = { threshold: 0.05, ratio: 8, attack: 20, release: 400 };
+const LOUDNESS_DEFAULTS = { target: -14, true_peak: -1.5, range: 11 };
+
+const MIX_OPTION_RANGES = {
+    clip_volume: [-60, 20],
+    music_volume: [-60, 20],
+    'ducking.threshold': [0.001, 1],
+    'ducking.ratio': [1, 20],
+    'ducking.attack': [0.01, 2000],
+    'ducking.release': [0.01, 9000],
+    'loudness.target': [-70, -5],
+    'loudness.true_peak': [-9, 0],
+    'loudness.range': [1, 50]
+};
+
+function resolveMixOptions(mixOptions) {
+    const options = mixOptions || {};
+    const ducking = options.ducking === true ? {} : options.ducking;
+    const loudness = options.loudness === true ? {} : options.loudness;
+
+    return {
+        clipVolume: options.clip_volume !== undefined ? options.clip_volume : 0,
+        musicVolume: options.music_volume !== undefined ? options.music_volume : -2,
+        ducking: ducking ? { ...DUCKING_DEFAULTS, ...ducking } : null,
+        loudness: loudness ? {
+            target: loudness.target !== undefined ? loudness.target : LOUDNESS_DEFAULTS.target,
+            truePeak: loudness.true_peak !== undefined ? loudness.true_peak : LOUDNESS_DEFAULTS.true_peak,
+            range: loudness.range !== undefined ? loudness.range : LOUDNESS_DEFAULTS.range
+        } : null
+    };
+}
+
+// EBU R128 measurement of a finished file, read from loudnorm's analysis summary
+async function measureLoudness(mediaPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(mediaPath)
+            .noVideo()
+            .audioFilters('loudnorm=print_format=json')
+            .format('null')
+            .output('-')
+            .on('end', (stdout, stderr) => {
+                const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+                if (!match) {
+                    return resolve(null);
+                }
+
+                const summary = JSON.parse(match[0]);
+                const toNumber = (value) => Number.isFinite(parseFloat(value)) ? parseFloat(value) : null;
+                resolve({
+                    integratedLufs: toNumber(summary.input_i),
+                    truePeakDbtp: toNumber(summary.input_tp),
+                    rangeLu: toNumber(summary.input_lra)
+                });
+            })
+            .on('error', (err) => {
+                console.error('Loudness measurement error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+async function getVideoDuration(videoPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(videoPath, (err, metadata) => {
+            if (err) {
+                reject(err);
+            } else {
+                const duration = metadata.format.duration;
+                resolve(duration);
+            }
+        });
+    });
+}
+
+function parseFrameRate(rate) {
+    const [numerator, denominator] = String(rate || '0/0').split('/').map(Number);
+    return denominator ? numerator / denominator : numerator || null;
+}
+
+async function getMediaInfo(mediaPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(mediaPath, (err, metadata) => {
+            if (err) {
+                reject(err);
+            } else {
+                const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+                const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+                resolve({
+                    duration: metadata.format.duration,
+                    width: videoStream ? videoStream.width : null,
+                    height: videoStream ? videoStream.height : null,
+                    frameRate: videoStream ? videoStream.avg_frame_rate || videoStream.r_frame_rate : null,
+                    fps: videoStream ? parseFrameRate(videoStream.avg_frame_rate || videoStream.r_frame_rate) : null,
+                    pixelFormat: videoStream ? videoStream.pix_fmt : null,
+                    hasAudio: !!audioStream,
+                    sampleRate: audioStream ? parseInt(audioStream.sample_rate, 10) : null,
+                    channels: audioStream ? audioStream.channels : null
+                });
+            }
+        });
+    });
+}
+
+async function getVideoDimensions(videoPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(videoPath, (err, metadata) => {
+            if (err) {
+                reject(err);
+            } else {
+                const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+                resolve({
+                    width: videoStream.width,
+                    height: videoStream.height
+                });
+            }
+        });
+    });
+}
+
+async function hasAudioStream(videoPath) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(videoPath, (err, metadata) => {
+            if (err) {
+                resolve(false);
+            } else {
+                const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
+                resolve(hasAudio);
+            }
+        });
+    });
+}
+
+const NORMALIZE_FITS = ['pad', 'crop'];
+const NORMALIZE_SAMPLE_RATES = [22050, 32000, 44100, 48000, 96000];
+const NORMALIZE_DEFAULTS = { fps: 30, fit: 'pad', sampleRate: 48000, channels: 2, background: 'black' };
+
+function validateNormalizeOptions(normalize) {
+    if (normalize && (normalize.width === undefined) !== (normalize.height === undefined)) {
+        return { field: 'normalize', message: 'must set width and height together' };
+    }
+
+    return null;
+}
+
+// Explicit values win, everything else follows the first scene so a uniform set passes through unchanged
+function resolveNormalizeTarget(normalize, firstScene) {
+    const options = normalize || {};
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+    return {
+        width: even(options.width || firstScene.width),
+        height: even(options.height || firstScene.height),
+        fps: options.fps || (firstScene.fps ? Math.round(firstScene.fps * 1000) / 1000 : NORMALIZE_DEFAULTS.fps),
+        fit: options.fit || NORMALIZE_DEFAULTS.fit,
+        pixelFormat: 'yuv420p',
+        sampleRate: options.sample_rate || NORMALIZE_DEFAULTS.sampleRate,
+        channels: options.channels || NORMALIZE_DEFAULTS.channels,
+        background: (options.background || NORMALIZE_DEFAULTS.background).replace(/^#/, '0x')
+    };
+}
+
+function describeSceneAdjustments(info, target) {
+    const adjustments = [];
+
+    if (info.width !== target.width || info.height !== target.height) {
+        const sameAspect = Math.abs((info.width / info.height) - (target.width / target.height)) < 0.01;
+        adjustments.push(`scaled ${info.width}x${info.height} to ${target.width}x${target.height}${sameAspect ? '' : target.fit === 'pad' ? ' with padding' : ' with cropping'}`);
+    }
+    if (!info.fps || Math.abs(info.fps - target.fps) > 0.01) {
+        adjustments.push(`frame rate ${info.fps ? Math.round(info.fps * 100) / 100 : 'unknown'} to ${target.fps} fps`);
+    }
+    if (info.pixelFormat !== target.pixelFormat) {
+        adjustments.push(`pixel format ${info.pixelFormat} to ${target.pixelFormat}`);
+    }
+    if (info.hasAudio && (info.sampleRate !== target.sampleRate || info.channels !== target.channels)) {
+        adjustments.push(`audio ${info.sampleRate}Hz/${info.channels}ch to ${target.sampleRate}Hz/${target.channels}ch`);
+    }
+
+    return adjustments;
+}
+
+function buildNormalizeFilter(target) {
+    const { width, height, fps, fit, background } = target;
+    const frame = fit === 'crop'
+        ? `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`
+        : `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${background}`;
+
+    return `${frame},setsar=1,fps=${fps},format=${target.pixelFormat},settb=AVTB,setpts=PTS-STARTPTS`;
+}
+
+const XFADE_TRANSITIONS = [
+    'fade', 'fadeblack', 'fadewhite', 'dissolve', 'distance',
+    'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+    'slideleft', 'slideright', 'slideup', 'slidedown',
+    'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+    'circlecrop', 'rectcrop', 'circleopen', 'circleclose',
+    'horzopen', 'horzclose', 'vertopen', 'vertclose',
+    'diagbl', 'diagbr', 'diagtl', 'diagtr',
+    'hlslice', 'hrslice', 'vuslice', 'vdslice',
+    'radial', 'pixelize'
+];
+
+const TRANSITION_ALIASES = {
+    'crossfade': 'fade',
+    'fade-through-black': 'fadeblack',
+    'fade-through-white': 'fadewhite'
+};
+
+const DEFAULT_TRANSITION_DURATION = 0.5;
+const MAX_TRANSITION_DURATION = 5;
+
+function resolveTransition(transition) {
+    if (!transition) {
+        return null;
+    }
+
+    const { type, duration = DEFAULT_TRANSITION_DURATION } = typeof transition === 'string' ? { type: transition } : transition;
+
+    if (type === 'cut') {
+        return null;
+    }
+
+    return { type: TRANSITION_ALIASES[type] || type, duration: duration };
+}
+
+const MIN_SCENE_SPEED = 0.25;
+const MAX_SCENE_SPEED = 4;
+
+function parseSceneNumber(value) {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return value;
+    }
+    if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    return null;
+}
+
+function validateScenes(videos) {
+    const seen = new Map();
+
+    for (let index = 0; index < videos.length; index++) {
+        const video = videos[index];
+        const field = `videos[${index}]`;
+
+        const sceneNumber = parseSceneNumber(video.scene_number);
+        if (seen.has(sceneNumber)) {
+            return { field: `${field}.scene_number`, message: `repeats scene ${sceneNumber} from videos[${seen.get(sceneNumber)}]` };
+        }
+        seen.set(sceneNumber, index);
+
+        if (video.end !== undefined && video.duration !== undefined) {
+            return { field: field, message: 'can set end or duration, not both' };
+        }
+        if (video.end !== undefined && video.end <= (video.start || 0)) {
+            return { field: `${field}.end`, message: 'must be greater than start' };
+        }
+    }
+
+    return null;
+}
+
+// atempo only accepts factors between 0.5 and 2, so larger changes are chained
+function buildAtempoChain(speed) {
+    const filters = [];
+    let remaining = speed;
+
+    while (remaining > 2) {
+        filters.push('atempo=2');
+        remaining /= 2;
+    }
+    while (remaining < 0.5) {
+        filters.push('atempo=0.5');
+        remaining /= 0.5;
+    }
+    if (Math.abs(remaining - 1) > 0.0001) {
+        filters.push(`atempo=${remaining.toFixed(4)}`);
+    }
+
+    return filters;
+}
+
+// Each scene's transition overlaps the tail of that scene with the head of the next one
+function planSceneTimeline(scenes) {
+    const timeline = [];
+    let cursor = 0;
+
+    scenes.forEach((scene, index) => {
+        const previous = timeline[index - 1];
+        let transitionIn = null;
+        let start = cursor;
+
+        if (previous && scenes[index - 1].transition) {
+            const requested = scenes[index - 1].transition;
+            const available = Math.min(previous.end - previous.start - (previous.transitionIn ? previous.transitionIn.duration : 0), scene.duration);
+            const duration = Math.min(requested.duration, Math.max(0, available - 0.05));
+
+            if (duration < requested.duration) {
+                console.warn(`Shortened ${requested.type} transition into scene ${scene.sceneNumber} to ${duration.toFixed(2)}s to fit the scene lengths`);
+            }
+
+            if (duration > 0) {
+                transitionIn = { type: requested.type, duration: duration };
+                start = cursor - duration;
+            }
+        }
+
+        timeline.push({
+            scene: scene.sceneNumber,
+            inPoint: scene.inPoint,
+            outPoint: scene.outPoint,
+            speed: scene.speed,
+            muted: scene.muted,
+            start: start,
+            end: start + scene.duration,
+            transitionIn: transitionIn
+        });
+        cursor = start + scene.duration;
+    });
+
+    return timeline;
+}
+
+async function stitchVideos(scenes, outputPath, normalizeOptions = null, onProgress = null) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const infos = await Promise.all(scenes.map(scene => getMediaInfo(scene.path)));
+
+            // Resolve each scene's in/out points against its real length, then its length on the output timeline
+            const clips = scenes.map((scene, index) => {
+                const sourceDuration = infos[index].duration;
+                const inPoint = scene.start || 0;
+                if (inPoint >= sourceDuration) {
+                    throw new Error(`Scene ${scene.sceneNumber} start ${inPoint}s is beyond its ${sourceDuration.toFixed(2)}s length`);
+                }
+
+                const requestedOut = scene.end !== undefined ? scene.end : scene.duration !== undefined ? inPoint + scene.duration : sourceDuration;
+                const outPoint = Math.min(requestedOut, sourceDuration);
+                const speed = scene.speed || 1;
+
+                return {
+                    ...scene,
+                    inPoint: inPoint,
+                    outPoint: outPoint,
+                    speed: speed,
+                    muted: !!scene.mute,
+                    duration: (outPoint - inPoint) / speed
+                };
+            });
+
+            const audioChecks = infos.map((info, index) => info.hasAudio && !clips[index].muted);
+            const hasAnyAudio = audioChecks.some(hasAudio => hasAudio);
+            const durations = clips.map(clip => clip.duration);
+            const timeline = planSceneTimeline(clips);
+            const hasTransitions = timeline.some(entry => entry.transitionIn);
+
+            const target = resolveNormalizeTarget(normalizeOptions, infos[0]);
+            const normalization = {
+                target: target,
+                scenes: scenes.map((scene, index) => ({
+                    scene: scene.sceneNumber,
+                    source: {
+                        width: infos[index].width,
+                        height: infos[index].height,
+                        fps: infos[index].fps,
+                        pixelFormat: infos[index].pixelFormat,
+                        sampleRate: infos[index].sampleRate,
+                        channels: infos[index].channels
+                    },
+                    adjustments: describeSceneAdjustments(infos[index], target)
+                }))
+            };
+            
+            const command = ffmpeg();
+            
+            scenes.forEach(scene => {
+                command.input(scene.path);
+            });
+
+            // Conform every scene to one canvas, frame rate and audio format so concat and xfade accept them,
+            // and trim audio to its video length so crossfades stay in sync
+            const filters = [];
+            const videoFilter = buildNormalizeFilter(target);
+            const channelLayout = target.channels === 1 ? 'mono' : 'stereo';
+            clips.forEach((clip, index) => {
+                const sourceTrim = `trim=start=${clip.inPoint.toFixed(3)}:end=${clip.outPoint.toFixed(3)},setpts=(PTS-STARTPTS)/${clip.speed}`;
+                // fps can pad back out to the source's end timestamp after a speed-up, so cut to the scene length again
+                filters.push(`[${index}:v]${sourceTrim},${videoFilter},trim=end=${durations[index].toFixed(3)}[v${index}]`);
+                if (!hasAnyAudio) {
+                    return;
+                }
+
+                // Scenes without an audio track, or muted ones, get generated silence of exactly their length
+                const audioFormat = `aformat=sample_fmts=fltp:sample_rates=${target.sampleRate}:channel_layouts=${channelLayout}`;
+                const audioTrim = `atrim=end=${durations[index].toFixed(3)},asetpts=PTS-STARTPTS`;
+                if (audioChecks[index]) {
+                    const audioSource = [
+                        `atrim=start=${clip.inPoint.toFixed(3)}:end=${clip.outPoint.toFixed(3)}`,
+                        'asetpts=PTS-STARTPTS',
+                        ...buildAtempoChain(clip.speed)
+                    ].join(',');
+                    filters.push(`[${index}:a]${audioSource},${audioFormat},apad,${audioTrim}[a${index}]`);
+                } else {
+                    filters.push(`anullsrc=channel_layout=${channelLayout}:sample_rate=${target.sampleRate},${audioFormat},${audioTrim}[a${index}]`);
+                }
+            });
+
+            let videoLabel = '[v0]';
+            let audioLabel = hasAnyAudio ? '[a0]' : null;
+
+            if (!hasTransitions) {
+                const segments = scenes.map((_, index) => hasAnyAudio ? `[v${index}][a${index}]` : `[v${index}]`).join('');
+                filters.push(`${segments}concat=n=${scenes.length}:v=1:a=${hasAnyAudio ? 1 : 0}[outv]${hasAnyAudio ? '[outa]' : ''}`);
+                videoLabel = '[outv]';
+                audioLabel = hasAnyAudio ? '[outa]' : null;
+            } else {
+                for (let index = 1; index < scenes.length; index++) {
+                    const { start, transitionIn } = timeline[index];
+
+                    if (transitionIn) {
+                        filters.push(`${videoLabel}[v${index}]xfade=transition=${transitionIn.type}:duration=${transitionIn.duration.toFixed(3)}:offset=${start.toFixed(3)}[vx${index}]`);
+                    } else {
+                        filters.push(`${videoLabel}[v${index}]concat=n=2:v=1:a=0[vx${index}]`);
+                    }
+                    videoLabel = `[vx${index}]`;
+
+                    if (hasAnyAudio) {
+                        if (transitionIn) {
+                            filters.push(`${audioLabel}[a${index}]acrossfade=d=${transitionIn.duration.toFixed(3)}[ax${index}]`);
+                        } else {
+                            filters.push(`${audioLabel}[a${index}]concat=n=2:v=0:a=1[ax${index}]`);
+                        }
+                        audioLabel = `[ax${index}]`;
+                    }
+                }
+            }
+
+            command
+                .complexFilter(filters.join('; '))
+                .outputOptions(audioLabel ? ['-map', videoLabel, '-map', audioLabel] : ['-map', videoLabel]);
+
+            const totalDuration = timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+            const audioReport = scenes.map((scene, index) => ({
+                scene: scene.sceneNumber,
+                audio: !hasAnyAudio ? 'none' : audioChecks[index] ? 'original' : clips[index].muted ? 'muted' : 'silence',
+                duration: durations[index]
+            }));
+
+            trackFfmpegProgress(command, totalDuration, onProgress)
+                .output(outputPath)
+                .on('end', () => {
+                    console.log('Video stitching completed');
+                    resolve({ duration: totalDuration, timeline: timeline, normalization: normalization, audio: audioReport });
+                })
+                .on('error', (err) => {
+                    console.error('Video stitching error:', err);
+                    reject(err);
+                })
+                .run();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+const OVERLAY_POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const OVERLAY_DEFAULTS = {
+    position: 'bottom-right',
+    size: 0.2,
+    margin: 20,
+    opacity: 1
+};
+
+// overlay_options predates overlays and takes plain decimals, as numbers or strings, sized in pixels
+const OVERLAY_OPTION_RANGES = {
+    size: [1, 4096],
+    margin: [0, 2000],
+    opacity: [0, 1]
+};
+
+// Percentages arrive as strings like "25%" and come back as a fraction
+function parsePercent(value) {
+    const match = /^(\d+(?:\.\d+)?)%$/.exec(String(value));
+    return match ? parseFloat(match[1]) / 100 : null;
+}
+
+function validateOverlays(overlays, { allowTiming = true } = {}) {
+    if (!overlays) {
+        return null;
+    }
+
+    for (let index = 0; index < overlays.length; index++) {
+        const overlay = overlays[index];
+        const field = `overlays[${index}]`;
+
+        if (overlay.size !== undefined && overlay.width !== undefined) {
+            return { field: field, message: 'must set only one of size or width' };
+        }
+        if (typeof overlay.size === 'string' && !(parsePercent(overlay.size) > 0 && parsePercent(overlay.size) <= 1)) {
+            return { field: `${field}.size`, message: 'must be a percentage above 0% and at most 100%' };
+        }
+
+        if (!allowTiming) {
+            const key = ['start', 'end', 'fade_in', 'fade_out'].find(name => overlay[name] !== undefined);
+            if (key) {
+                return { field: `${field}.${key}`, message: 'is only supported for videos' };
+            }
+            continue;
+        }
+
+        if (overlay.start !== undefined && overlay.end !== undefined && overlay.end <= overlay.start) {
+            return { field: `${field}.end`, message: 'must be greater than start' };
+        }
+    }
+
+    return null;
+}
+
+// The schema only checks the shape of string values, so their ranges are checked once parsed
+function validateOverlayOptions(overlayOptions) {
+    for (const [key, [min, max]] of Object.entries(OVERLAY_OPTION_RANGES)) {
+        const value = overlayOptions ? overlayOptions[key] : undefined;
+        if (typeof value === 'string' && !(parseFloat(value) >= min && parseFloat(value) <= max)) {
+            return { field: `overlay_options.${key}`, message: `must be between ${min} and ${max}` };
+        }
+    }
+
+    return null;
+}
+
+// The legacy overlay_image_url/overlay_options pair becomes the bottom layer, sized in pixels as before
+function resolveOverlayLayers(overlays, overlayImageUrl, overlayOptions) {
+    const layers = [];
+
+    if (overlayImageUrl) {
+        const { position = 'bottom-right', size = 150, margin = 20, opacity = 1 } = overlayOptions || {};
+        layers.push({
+            url: overlayImageUrl,
+            position: position,
+            width: parseFloat(size),
+            margin: parseFloat(margin),
+            opacity: parseFloat(opacity)
+        });
+    }
+
+    return layers.concat(overlays || []);
+}
+
+// Stills are looped into a stream, GIF/APNG follow their own loop flag and clips such as WebM are looped end to end
+async function getOverlayInputOptions(overlayPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(overlayPath, (err, metadata) => {
+            if (err) {
+                return reject(err);
+            }
+
+            const formatName = metadata.format.format_name || '';
+            const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+
+            if (/gif|apng/.test(formatName)) {
+                resolve(['-ignore_loop', '0']);
+            } else if (/image2|_pipe$/.test(formatName)) {
+                resolve(['-loop', '1']);
+            } else {
+                // VP8/VP9 alpha is only decoded by libvpx, the native decoders drop it
+                const tags = (videoStream && videoStream.tags) || {};
+                const hasAlpha = Object.keys(tags).some(key => key.toLowerCase() === 'alpha_mode' && tags[key] === '1');
+                const decoder = hasAlpha && { vp8: 'libvpx', vp9: 'libvpx-vp9' }[videoStream.codec_name];
+                resolve([...(decoder ? ['-c:v', decoder] : []), '-stream_loop', '-1']);
+            }
+        });
+    });
+}
+
+async function downloadOverlayLayers(job, layers, jobDir) {
+    const downloaded = [];
+
+    for (let index = 0; index < layers.length; index++) {
+        const layer = layers[index];
+        const overlayPath = path.join(jobDir, `overlay_${index}${path.extname(new URL(layer.url).pathname)}`);
+        await downloadJobInput(job, layer.url, overlayPath, 'overlay', layers.length > 1 ? `overlay ${index + 1}` : 'overlay');
+        downloaded.push({ ...layer, path: overlayPath, inputOptions: await getOverlayInputOptions(overlayPath) });
+    }
+
+    return downloaded;
+}
+
+// Builds one scale/opacity/fade chain and overlay per layer, stacking them in order on top of baseLabel.
+// Layers are timed against duration when one is given; without it (stills) only the first frame matters
+function buildOverlayLayerFilters(layers, firstInputIndex, baseLabel, frame, duration = null) {
+    const filters = [];
+    let label = baseLabel;
+
+    layers.forEach((layer, index) => {
+        const margin = layer.margin !== undefined ? layer.margin : OVERLAY_DEFAULTS.margin;
+        const position = layer.position || OVERLAY_DEFAULTS.position;
+        const opacity = layer.opacity !== undefined ? layer.opacity : OVERLAY_DEFAULTS.opacity;
+        const size = layer.size !== undefined ? (typeof layer.size === 'number' ? layer.size : parsePercent(layer.size)) : OVERLAY_DEFAULTS.size;
+        const width = Math.max(1, Math.round(layer.width !== undefined ? layer.width : frame.width * size));
+
+        const chain = [];
+        let enable = '';
+        if (duration !== null) {
+            const start = layer.start || 0;
+            const end = layer.end !== undefined ? Math.min(layer.end, duration) : duration;
+
+            // Shift the layer so animations and fades begin at its start time
+            chain.push(start > 0 ? `setpts=PTS-STARTPTS+${start.toFixed(3)}/TB` : 'setpts=PTS-STARTPTS');
+            if (start > 0 || end < duration) {
+                enable = `:enable='between(t,${start.toFixed(3)},${end.toFixed(3)})'`;
+            }
+            chain.push('format=rgba');
+            if (layer.fade_in) {
+                chain.push(`fade=t=in:st=${start.toFixed(3)}:d=${layer.fade_in.toFixed(3)}:alpha=1`);
+            }
+            if (layer.fade_out) {
+                chain.push(`fade=t=out:st=${Math.max(start, end - layer.fade_out).toFixed(3)}:d=${layer.fade_out.toFixed(3)}:alpha=1`);
+            }
+        } else {
+            chain.push('format=rgba');
+        }
+        chain.push(`scale=${width}:-1`);
+        if (opacity < 1) {
+            chain.push(`colorchannelmixer=aa=${opacity}`);
+        }
+
+        const resolveAxis = (value, frameSize) => {
+            const fraction = parsePercent(value);
+            return fraction !== null ? Math.round(frameSize * fraction) : Math.round(value);
+        };
+        let x = position.includes('left') ? margin : position.includes('right') ? `W-w-${margin}` : '(W-w)/2';
+        let y = position.startsWith('top') ? margin : position.startsWith('bottom') ? `H-h-${margin}` : '(H-h)/2';
+        if (layer.x !== undefined) {
+            x = resolveAxis(layer.x, frame.width);
+        }
+        if (layer.y !== undefined) {
+            y = resolveAxis(layer.y, frame.height);
+        }
+
+        filters.push(`[${firstInputIndex + index}:v]${chain.join(',')}[layer${index}]`);
+        filters.push(`${label}[layer${index}]overlay=x=${x}:y=${y}:format=auto${enable}[layered${index}]`);
+        label = `[layered${index}]`;
+    });
+
+    return { filters: filters, label: label };
+}
+
+async function addAudioAndOverlayToVideo(videoPath, audioPath, outputPath, overlays = [], textFilters = [], audioOptions = {}, onProgress = null) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const command = ffmpeg(videoPath);
+            command.input(audioPath);
+            
+            const videoHasAudio = await hasAudioStream(videoPath);
+            const videoDuration = await getVideoDuration(videoPath);
+            const outputDuration = audioOptions.outputDuration || videoDuration;
+            const filters = [];
+            let videoLabel = null;
+
+            // Hold the last frame when the output has to run longer than the video
+            const extendBy = outputDuration - videoDuration;
+            if (extendBy > 0.01) {
+                filters.push(`[0:v]tpad=stop_mode=clone:stop_duration=${extendBy.toFixed(3)}[extended]`);
+                videoLabel = '[extended]';
+            }
+            
+            if (overlays.length > 0) {
+                overlays.forEach(overlay => command.input(overlay.path).inputOptions(overlay.inputOptions));
+
+                const layered = buildOverlayLayerFilters(overlays, 2, videoLabel || '[0:v]', await getVideoDimensions(videoPath), outputDuration);
+                filters.push(...layered.filters);
+                filters.push(`${layered.label}format=yuv420p[v]`);
+                videoLabel = '[v]';
+            }
+
+            // Text is drawn last so captions sit above any image overlay
+            if (textFilters.length > 0) {
+                filters.push(`${videoLabel || '[0:v]'}${textFilters.join(',')},format=yuv420p[texted]`);
+                videoLabel = '[texted]';
+            }
+
+            const {
+                clipVolume = 0,
+                musicVolume = -2,
+                ducking = null,
+                loudness = null
+            } = audioOptions;
+
+            // Music is trimmed to its own length beforehand, so pad it with silence up to the output length
+            filters.push(`[1:a]volume=${musicVolume}dB,apad[music]`);
+            let audioLabel = '[music]';
+            if (videoHasAudio) {
+                filters.push(`[0:a]volume=${clipVolume}dB,apad[clip]`);
+
+                if (ducking) {
+                    filters.push('[clip]asplit=2[clipmix][clipkey]');
+                    filters.push(`[music][clipkey]sidechaincompress=threshold=${ducking.threshold}:ratio=${ducking.ratio}:attack=${ducking.attack}:release=${ducking.release}[ducked]`);
+                    filters.push('[clipmix][ducked]amix=inputs=2:duration=longest[mixedaudio]');
+                } else {
+                    filters.push('[clip][music]amix=inputs=2:duration=longest[mixedaudio]');
+                }
+                audioLabel = '[mixedaudio]';
+            }
+
+            if (loudness) {
+                filters.push(`${audioLabel}loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.range},aresample=48000[normalized]`);
+                audioLabel = '[normalized]';
+            }
+
+            command
+                .complexFilter(filters.join('; '))
+                .outputOptions([
+                    '-map', videoLabel || '0:v:0',
+                    '-map', audioLabel,
+                    ...(videoLabel ? [] : ['-c:v', 'copy']),
+                    '-c:a', 'aac',
+                    '-t', outputDuration.toFixed(3),
+                    '-movflags', '+faststart'
+                ]);
+
+            trackFfmpegProgress(command, outputDuration, onProgress)
+                .output(outputPath)
+                .on('end', () => {
+                    console.log('Audio mixing and overlay processing completed');
+                    resolve();
+                })
+                .on('error', (err) => {
+                    console.error('Audio mixing and overlay processing error:', err);
+                    reject(err);
+                })
+                .run();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+async function addOverlayToImage(baseImagePath, overlays, outputPath, textFilters = []) {
+    const frame = await getVideoDimensions(baseImagePath);
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg().input(baseImagePath);
+        
+        // Same layering as video, untimed: animated overlays contribute their first frame
+        overlays.forEach(overlay => command.input(overlay.path));
+        const layered = buildOverlayLayerFilters(overlays, 1, '[0:v]', frame);
+        const filters = [...layered.filters];
+        filters.push(`${layered.label}${textFilters.length > 0 ? textFilters.join(',') : 'null'}[out]`);
+
+        command
+            .complexFilter(filters.join('; '))
+            .outputOptions([
+                '-map', '[out]',
+                '-vframes', '1'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                console.log('Image overlay processing completed');
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error('Image overlay processing error:', err);
+                // If FFmpeg fails, just copy the original image
+                require('fs').createReadStream(baseImagePath).pipe(require('fs').createWriteStream(outputPath))
+                    .on('close', () => {
+                        console.log('Fallback: returned original image without overlay');
+                        resolve();
+                    })
+                    .on('error', reject);
+            })
+            .run();
+    });
+}
+
+const OUTPUT_PRESETS = {
+    vertical: { width: 1080, height: 1920, fit: 'blur', crf: 23, fps: 30, audioBitrate: '128k' },
+    square: { width: 1080, height: 1080, fit: 'blur', crf: 23, fps: 30, audioBitrate: '128k' },
+    landscape: { width: 1920, height: 1080, fit: 'fit', crf: 23, fps: 30, audioBitrate: '128k' }
+};
+const OUTPUT_FITS = ['fit', 'fill', 'blur'];
+const MAX_RENDITIONS = 5;
+
+function validateOutputs(outputs) {
+    if (!outputs) {
+        return null;
+    }
+
+    const names = new Set();
+    for (let index = 0; index < outputs.length; index++) {
+        const output = typeof outputs[index] === 'string' ? { preset: outputs[index] } : outputs[index];
+        const field = `outputs[${index}]`;
+
+        const name = output.name || output.preset;
+        if (names.has(name)) {
+            return { field: field, message: `repeats the rendition name ${name}, set a unique name` };
+        }
+        names.add(name);
+
+        if (output.crf !== undefined && output.video_bitrate !== undefined) {
+            return { field: field, message: 'must set only one of crf or video_bitrate' };
+        }
+    }
+
+    return null;
+}
+
+// Presets supply every setting; request fields override them one by one
+function resolveRenditions(outputs) {
+    return (outputs || []).map(entry => {
+        const output = typeof entry === 'string' ? { preset: entry } : entry;
+        const preset = OUTPUT_PRESETS[output.preset];
+
+        return {
+            name: output.name || output.preset,
+            preset: output.preset,
+            width: output.width || preset.width,
+            height: output.height || preset.height,
+            fit: output.fit || preset.fit,
+            crf: output.video_bitrate ? null : output.crf !== undefined ? output.crf : preset.crf,
+            videoBitrate: output.video_bitrate || null,
+            fps: output.fps || preset.fps,
+            audioBitrate: output.audio_bitrate || preset.audioBitrate
+        };
+    });
+}
+
+async function renderRendition(inputPath, outputPath, rendition, onProgress = null) {
+    const duration = await getVideoDuration(inputPath);
+    const hasAudio = await hasAudioStream(inputPath);
+
+    return new Promise((resolve, reject) => {
+        const { width, height, fit, fps, crf, videoBitrate, audioBitrate } = rendition;
+        const fitted = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+        const filled = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+        const filters = [];
+
+        // blur fills the frame with a blurred, cropped copy of the video behind the letterboxed original
+        if (fit === 'blur') {
+            filters.push('[0:v]split=2[background][foreground]');
+            filters.push(`[background]${filled},boxblur=20:2[blurred]`);
+            filters.push(`[foreground]${fitted}[fitted]`);
+            filters.push('[blurred][fitted]overlay=(W-w)/2:(H-h)/2[framed]');
+        } else if (fit === 'fill') {
+            filters.push(`[0:v]${filled}[framed]`);
+        } else {
+            filters.push(`[0:v]${fitted},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black[framed]`);
+        }
+        filters.push(`[framed]setsar=1,fps=${fps},format=yuv420p[v]`);
+
+        const rateControl = videoBitrate
+            ? ['-b:v', videoBitrate, '-maxrate', videoBitrate, '-bufsize', `${parseFloat(videoBitrate) * 2}${videoBitrate.slice(-1)}`]
+            : ['-crf', String(crf)];
+
+        const command = ffmpeg(inputPath)
+            .complexFilter(filters.join('; '))
+            .outputOptions([
+                '-map', '[v]',
+                ...(hasAudio ? ['-map', '0:a:0', '-c:a', 'aac', '-b:a', audioBitrate] : []),
+                '-c:v', 'libx264',
+                '-preset', 'medium',
+                ...rateControl,
+                '-movflags', '+faststart'
+            ]);
+
+        trackFfmpegProgress(command, duration, onProgress)
+            .output(outputPath)
+            .on('end', () => {
+                console.log(`Rendition ${rendition.name} completed`);
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error(`Rendition ${rendition.name} error:`, err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+const PREVIEW_FORMATS = ['gif', 'webp'];
+const PREVIEW_DEFAULTS = {
+    contactSheet: { columns: 4, width: 320, frames: 6 },
+    animated: { format: 'gif', start: 0, duration: 3, width: 320, fps: 10 }
+};
+const PREVIEW_RANGES = {
+    'poster.time': [0, Infinity],
+    'contact_sheet.columns': [1, 10],
+    'contact_sheet.width': [64, 640],
+    'contact_sheet.frames': [1, 36],
+    'animated.start': [0, Infinity],
+    'animated.duration': [0.5, 10],
+    'animated.width': [64, 720],
+    'animated.fps': [1, 30]
+};
+
+async function renderPoster(videoPath, outputPath, time) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .inputOptions(['-ss', time.toFixed(3)])
+            .outputOptions(['-frames:v', '1', '-q:v', '2'])
+            .output(outputPath)
+            .on('end', () => {
+                console.log('Poster frame completed');
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error('Poster frame error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+// Picks the first frame at or after each timestamp and tiles them left to right, top to bottom
+async function renderContactSheet(videoPath, outputPath, timestamps, options) {
+    return new Promise((resolve, reject) => {
+        const columns = Math.min(options.columns, timestamps.length);
+        const rows = Math.ceil(timestamps.length / columns);
+        const selection = timestamps.map(time => `gte(t,${time.toFixed(3)})*lt(prev_t,${time.toFixed(3)})`).join('+');
+
+        ffmpeg(videoPath)
+            .complexFilter(`[0:v]select='${selection}',scale=${options.width}:-2,tile=${columns}x${rows}:padding=4:margin=4[sheet]`)
+            .outputOptions(['-map', '[sheet]', '-frames:v', '1', '-q:v', '3'])
+            .output(outputPath)
+            .on('end', () => {
+                console.log('Contact sheet completed');
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error('Contact sheet error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+async function renderAnimatedPreview(videoPath, outputPath, options) {
+    return new Promise((resolve, reject) => {
+        const { format, start, duration, width, fps } = options;
+        const command = ffmpeg(videoPath).inputOptions(['-ss', start.toFixed(3), '-t', duration.toFixed(3)]);
+
+        // GIFs get a palette built from the clip itself, WebP is encoded directly
+        if (format === 'gif') {
+            command
+                .complexFilter(`[0:v]fps=${fps},scale=${width}:-1:flags=lanczos,split=2[frames][sample]; [sample]palettegen[palette]; [frames][palette]paletteuse[preview]`)
+                .outputOptions(['-map', '[preview]', '-loop', '0']);
+        } else {
+            command
+                .complexFilter(`[0:v]fps=${fps},scale=${width}:-2[preview]`)
+                .outputOptions(['-map', '[preview]', '-loop', '0', '-quality', '70'])
+                .format('webp');
+        }
+
+        command
+            .output(outputPath)
+            .on('end', () => {
+                console.log('Animated preview completed');
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error('Animated preview error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+// Heights apply to the short side so vertical videos get the same ladder as landscape ones
+const HLS_LADDER = {
+    '1080p': { height: 1080, videoBitrate: '5000k', audioBitrate: '128k' },
+    '720p': { height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+    '480p': { height: 480, videoBitrate: '1400k', audioBitrate: '96k' },
+    '360p': { height: 360, videoBitrate: '800k', audioBitrate: '96k' }
+};
+const HLS_DEFAULTS = { variants: ['720p', '480p', '360p'], segmentDuration: 4 };
+const HLS_CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t'
+};
+
+// Variants taller than the source are dropped unless that would leave nothing, in which case the smallest is kept
+function planHlsVariants(hls, frame) {
+    const options = typeof hls === 'object' ? hls : {};
+    const names = [...(options.variants || HLS_DEFAULTS.variants)].sort((a, b) => HLS_LADDER[b].height - HLS_LADDER[a].height);
+    const shortSide = Math.min(frame.width, frame.height);
+    const fitting = names.filter(name => HLS_LADDER[name].height <= shortSide);
+    const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+    return (fitting.length > 0 ? fitting : names.slice(-1)).map(name => {
+        const { height, videoBitrate, audioBitrate } = HLS_LADDER[name];
+        const scale = Math.min(height, shortSide) / shortSide;
+        return {
+            name: name,
+            width: even(frame.width * scale),
+            height: even(frame.height * scale),
+            videoBitrate: videoBitrate,
+            audioBitrate: audioBitrate
+        };
+    });
+}
+
+async function packageHls(inputPath, outputDir, variants, segmentDuration, onProgress = null) {
+    const duration = await getVideoDuration(inputPath);
+    const hasAudio = await hasAudioStream(inputPath);
+    await Promise.all(variants.map((_, index) => fs.mkdir(path.join(outputDir, `v${index}`), { recursive: true })));
+
+    return new Promise((resolve, reject) => {
+        const filters = [`[0:v]split=${variants.length}${variants.map((_, index) => `[split${index}]`).join('')}`];
+        const outputOptions = [];
+
+        variants.forEach((variant, index) => {
+            filters.push(`[split${index}]scale=${variant.width}:${variant.height},setsar=1[v${index}]`);
+            outputOptions.push(
+                '-map', `[v${index}]`,
+                `-c:v:${index}`, 'libx264',
+                `-b:v:${index}`, variant.videoBitrate,
+                `-maxrate:v:${index}`, variant.videoBitrate,
+                `-bufsize:v:${index}`, `${parseInt(variant.videoBitrate, 10) * 2}k`
+            );
+        });
+        if (hasAudio) {
+            variants.forEach((variant, index) => {
+                outputOptions.push('-map', '0:a:0', `-c:a:${index}`, 'aac', `-b:a:${index}`, variant.audioBitrate);
+            });
+        }
+
+        // Keyframes on every segment boundary keep the variants switchable at the same points
+        const streamMap = variants.map((_, index) => hasAudio ? `v:${index},a:${index}` : `v:${index}`).join(' ');
+
+        const command = ffmpeg(inputPath)
+            .complexFilter(filters.join('; '))
+            .outputOptions([
+                ...outputOptions,
+                '-preset', 'medium',
+                '-sc_threshold', '0',
+                '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+                '-f', 'hls',
+                '-hls_time', String(segmentDuration),
+                '-hls_list_size', '0',
+                '-hls_segment_filename', path.join(outputDir, 'v%v', 'segment_%03d.ts'),
+                '-master_pl_name', 'master.m3u8'
+            ])
+            // Passed as separate arguments so fluent-ffmpeg doesn't split the space-separated map
+            .outputOptions('-var_stream_map', streamMap);
+
+        trackFfmpegProgress(command, duration, onProgress)
+            .output(path.join(outputDir, 'v%v', 'index.m3u8'))
+            .on('end', () => {
+                console.log('HLS packaging completed');
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error('HLS packaging error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+const FONT_DIR = process.env.FONT_DIR || '/usr/share/fonts/truetype/dejavu';
+const FONTS = {
+    'sans': { file: path.join(FONT_DIR, 'DejaVuSans.ttf'), family: 'DejaVu Sans', bold: false },
+    'sans-bold': { file: path.join(FONT_DIR, 'DejaVuSans-Bold.ttf'), family: 'DejaVu Sans', bold: true },
+    'serif': { file: path.join(FONT_DIR, 'DejaVuSerif.ttf'), family: 'DejaVu Serif', bold: false },
+    'serif-bold': { file: path.join(FONT_DIR, 'DejaVuSerif-Bold.ttf'), family: 'DejaVu Serif', bold: true },
+    'mono': { file: path.join(FONT_DIR, 'DejaVuSansMono.ttf'), family: 'DejaVu Sans Mono', bold: false },
+    'mono-bold': { file: path.join(FONT_DIR, 'DejaVuSansMono-Bold.ttf'), family: 'DejaVu Sans Mono', bold: true }
+};
+
+const CREATE_VIDEO_DURATION = parseFloat(process.env.CREATE_VIDEO_DURATION || '10');
+const CREATE_VIDEO_MUSIC_URL = process.env.CREATE_VIDEO_MUSIC_URL || null;
+
+function wrapText(text, maxChars) {
+    const lines = [];
+
+    for (const paragraph of String(text).split(/\r?\n/)) {
+        let line = '';
+        for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+            while (word.length > maxChars) {
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                lines.push(word.slice(0, maxChars));
+                word = word.slice(maxChars);
+            }
+            if (!line) {
+                line = word;
+            } else if (line.length + 1 + word.length <= maxChars) {
+                line += ` ${word}`;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        }
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+async function renderTextCardVideo(imagePath, audioPath, outputPath, card, workDir, onProgress = null) {
+    const width = 1080;
+    const height = 1920;
+    const duration = CREATE_VIDEO_DURATION;
+    const margin = 60;
+    const cardWidth = width - margin * 2;
+    const usernameSize = 48;
+    const messageSize = 44;
+    const lineHeight = Math.round(messageSize * 1.35);
+
+    // DejaVu Sans averages ~0.55em per glyph, which is close enough for wrapping
+    let lines = wrapText(card.message, Math.floor((cardWidth - 80) / (messageSize * 0.55)));
+    if (lines.length > 12) {
+        lines = lines.slice(0, 12);
+        lines[11] = `${lines[11].slice(0, -1)}…`;
+    }
+
+    const cardHeight = 40 + usernameSize + 30 + lines.length * lineHeight + 30;
+    const cardY = imagePath ? 160 : Math.round((height - cardHeight) / 2);
+    const imageY = cardY + cardHeight + 40;
+    const imageHeight = height - imageY - 160;
+
+    const usernameFile = path.join(workDir, 'card_username.txt');
+    const messageFile = path.join(workDir, 'card_message.txt');
+    await fs.writeFile(usernameFile, `@${card.username}`);
+    await fs.writeFile(messageFile, lines.join('\n'));
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg()
+            .input(`color=c=0x15202b:s=${width}x${height}:r=30:d=${duration}`)
+            .inputFormat('lavfi');
+
+        const filters = [];
+        let base = '[0:v]';
+
+        if (imagePath) {
+            command.input(imagePath).inputOptions(['-loop', '1']);
+            filters.push(`[1:v]scale=${cardWidth}:${imageHeight}:force_original_aspect_ratio=decrease,format=rgba[image]`);
+            filters.push(`[0:v][image]overlay=x=(main_w-overlay_w)/2:y=${imageY}+(${imageHeight}-overlay_h)/2[bg]`);
+            base = '[bg]';
+        }
+
+        filters.push(`${base}drawbox=x=${margin}:y=${cardY}:w=${cardWidth}:h=${cardHeight}:color=white@0.95:t=fill,` +
+            `drawtext=fontfile=${FONTS['sans-bold'].file}:textfile=${usernameFile}:expansion=none:fontsize=${usernameSize}:fontcolor=0x0f1419:x=${margin + 40}:y=${cardY + 40},` +
+            `drawtext=fontfile=${FONTS.sans.file}:textfile=${messageFile}:expansion=none:fontsize=${messageSize}:fontcolor=0x0f1419:line_spacing=${lineHeight - messageSize}:x=${margin + 40}:y=${cardY + 40 + usernameSize + 30},` +
+            `fade=t=in:st=0:d=0.5,fade=t=out:st=${duration - 0.5}:d=0.5,format=yuv420p[v]`);
+
+        const audioIndex = imagePath ? 2 : 1;
+        if (audioPath) {
+            command.input(audioPath).inputOptions(['-stream_loop', '-1']);
+            filters.push(`[${audioIndex}:a]afade=t=out:st=${duration - 1}:d=1[a]`);
+        } else {
+            command.input('anullsrc=r=44100:cl=stereo').inputFormat('lavfi');
+            filters.push(`[${audioIndex}:a]anull[a]`);
+        }
+
+        trackFfmpegProgress(command, duration, onProgress)
+            .complexFilter(filters.join('; '))
+            .outputOptions([
+                '-map', '[v]',
+                '-map', '[a]',
+                '-c:v', 'libx264',
+                '-c:a', 'aac',
+                '-t', String(duration),
+                '-movflags', '+faststart'
+            ])
+            .output(outputPath)
+            .on('end', () => {
+                console.log('Text card video rendering completed');
+                Promise.all([usernameFile, messageFile].map(file => fs.rm(file, { force: true }))).then(() => resolve());
+            })
+            .on('error', (err) => {
+                console.error('Text card video rendering error:', err);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+const TEXT_POSITIONS = ['top', 'center', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const SUBTITLE_POSITIONS = ['top', 'center', 'bottom'];
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+const TEXT_SIZE_RANGE = [8, 400];
+const COLOR_NAMES = {
+    white: 'FFFFFF',
+    black: '000000',
+    red: 'FF0000',
+    green: '00FF00',
+    blue: '0000FF',
+    yellow: 'FFFF00',
+    cyan: '00FFFF',
+    magenta: 'FF00FF',
+    orange: 'FFA500',
+    gray: '808080'
+};
+
+// Accepts #RRGGBB, #RRGGBBAA or one of COLOR_NAMES
+function parseColor(value) {
+    const match = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(String(value));
+    if (match) {
+        return { rgb: match[1].toUpperCase(), alpha: match[2] ? parseInt(match[2], 16) : 255 };
+    }
+
+    const named = COLOR_NAMES[String(value).toLowerCase()];
+    return named ? { rgb: named, alpha: 255 } : null;
+}
+
+function toDrawtextColor(color) {
+    return `0x${color.rgb}${color.alpha.toString(16).padStart(2, '0').toUpperCase()}`;
+}
+
+// ASS colors are &HAABBGGRR with an inverted alpha (00 is opaque)
+function toAssColor(color) {
+    const [red, green, blue] = [0, 2, 4].map(offset => color.rgb.slice(offset, offset + 2));
+    return `&H${(255 - color.alpha).toString(16).padStart(2, '0').toUpperCase()}${blue}${green}${red}`;
+}
+
+function validateTextOverlays(textOverlays, { sceneNumbers = null, allowSubtitles = true, allowTiming = true } = {}) {
+    if (!textOverlays) {
+        return null;
+    }
+
+    for (let index = 0; index < textOverlays.length; index++) {
+        const overlay = textOverlays[index];
+        const field = `text_overlays[${index}]`;
+
+        const isSubtitles = overlay.subtitles_url !== undefined;
+        if (isSubtitles === (overlay.text !== undefined)) {
+            return { field: field, message: 'must set exactly one of text or subtitles_url' };
+        }
+
+        if (isSubtitles) {
+            if (!allowSubtitles) {
+                return { field: `${field}.subtitles_url`, message: 'is only supported for videos' };
+            }
+            if (overlay.position !== undefined && !SUBTITLE_POSITIONS.includes(overlay.position)) {
+                return { field: `${field}.position`, message: `must be one of: ${SUBTITLE_POSITIONS.join(', ')} for subtitles` };
+            }
+            const unsupported = ['x', 'y', 'uppercase', 'background_color', 'start', 'end', 'scene'].find(key => overlay[key] !== undefined);
+            if (unsupported) {
+                return { field: `${field}.${unsupported}`, message: 'is not supported for subtitles' };
+            }
+        } else if (!overlay.text.trim()) {
+            return { field: `${field}.text`, message: 'must not be blank' };
+        }
+
+        for (const key of ['color', 'stroke_color', 'background_color']) {
+            if (overlay[key] !== undefined && !parseColor(overlay[key])) {
+                return { field: `${field}.${key}`, message: `must be a hex color (#RRGGBB or #RRGGBBAA) or one of: ${Object.keys(COLOR_NAMES).join(', ')}` };
+            }
+        }
+
+        if (!allowTiming) {
+            const timing = ['start', 'end', 'scene'].find(key => overlay[key] !== undefined);
+            if (timing) {
+                return { field: `${field}.${timing}`, message: 'is only supported for videos' };
+            }
+            continue;
+        }
+
+        if (overlay.start !== undefined && overlay.end !== undefined && overlay.end <= overlay.start) {
+            return { field: `${field}.end`, message: 'must be greater than start' };
+        }
+
+        if (overlay.scene !== undefined) {
+            if (!sceneNumbers) {
+                return { field: `${field}.scene`, message: 'is only supported when stitching videos' };
+            }
+            if (!sceneNumbers.includes(parseSceneNumber(overlay.scene))) {
+                return { field: `${field}.scene`, message: `must match a scene_number in videos, got ${JSON.stringify(overlay.scene)}` };
+            }
+        }
+    }
+
+    return null;
+}
+
+// Scene captions are timed relative to their scene and never outlast it
+function resolveSceneCaptions(textOverlays, timeline) {
+    return (textOverlays || []).map(overlay => {
+        if (overlay.scene === undefined) {
+            return overlay;
+        }
+
+        const entry = timeline.find(item => item.scene === parseSceneNumber(overlay.scene));
+        const start = Math.min(entry.start + (overlay.start || 0), entry.end);
+        const end = overlay.end !== undefined ? Math.min(entry.start + overlay.end, entry.end) : entry.end;
+        return { ...overlay, scene: undefined, start: start, end: end };
+    });
+}
+
+function buildEnableExpression(start, end) {
+    if (start !== undefined && end !== undefined) {
+        return `between(t,${start.toFixed(3)},${end.toFixed(3)})`;
+    }
+    if (start !== undefined) {
+        return `gte(t,${start.toFixed(3)})`;
+    }
+    if (end !== undefined) {
+        return `lte(t,${end.toFixed(3)})`;
+    }
+    return null;
+}
+
+async function buildDrawtextFilters(overlay, frame, filePrefix) {
+    const font = FONTS[overlay.font || 'sans-bold'];
+    const size = Math.round(overlay.size || frame.height * 0.06);
+    const margin = Math.round(overlay.margin !== undefined ? overlay.margin : frame.height * 0.04);
+    const position = overlay.position || 'bottom';
+    const strokeWidth = Math.round(overlay.stroke_width !== undefined ? overlay.stroke_width : Math.max(1, size / 12));
+    const text = overlay.uppercase ? overlay.text.toUpperCase() : overlay.text;
+
+    // Each line is its own drawtext so lines can be centered or right-aligned individually.
+    // Bold DejaVu averages ~0.6em per glyph and capitals ~0.7em, which is close enough for wrapping
+    const availableWidth = overlay.x !== undefined ? frame.width - overlay.x - margin : frame.width - margin * 2;
+    const glyphWidth = size * (text === text.toLowerCase() ? 0.6 : 0.7);
+    const lines = wrapText(text, Math.max(1, Math.floor(availableWidth / glyphWidth)));
+    const lineHeight = Math.round(size * 1.2);
+    const blockHeight = lines.length * lineHeight;
+
+    let x = '(w-text_w)/2';
+    if (overlay.x !== undefined) {
+        x = Math.round(overlay.x);
+    } else if (position.endsWith('-left')) {
+        x = margin;
+    } else if (position.endsWith('-right')) {
+        x = `w-text_w-${margin}`;
+    }
+
+    let top = frame.height - margin - blockHeight;
+    if (overlay.y !== undefined) {
+        top = Math.round(overlay.y);
+    } else if (position.startsWith('top')) {
+        top = margin;
+    } else if (position === 'center') {
+        top = Math.round((frame.height - blockHeight) / 2);
+    }
+
+    const enable = buildEnableExpression(overlay.start, overlay.end);
+    const filters = [];
+
+    for (let line = 0; line < lines.length; line++) {
+        if (!lines[line]) {
+            continue;
+        }
+
+        const textFile = `${filePrefix}_${line}.txt`;
+        await fs.writeFile(textFile, lines[line]);
+
+        const options = [
+            `fontfile=${font.file}`,
+            `textfile=${textFile}`,
+            'expansion=none',
+            `fontsize=${size}`,
+            `fontcolor=${toDrawtextColor(parseColor(overlay.color || 'white'))}`,
+            `x=${x}`,
+            `y=${top + line * lineHeight}`
+        ];
+        if (strokeWidth > 0) {
+            options.push(`borderw=${strokeWidth}`, `bordercolor=${toDrawtextColor(parseColor(overlay.stroke_color || 'black'))}`);
+        }
+        if (overlay.background_color) {
+            options.push('box=1', `boxcolor=${toDrawtextColor(parseColor(overlay.background_color))}`, `boxborderw=${Math.round(size / 4)}`);
+        }
+        if (enable) {
+            options.push(`enable='${enable}'`);
+        }
+        filters.push(`drawtext=${options.join(':')}`);
+    }
+
+    return filters;
+}
+
+function buildSubtitlesFilter(subtitlesPath, overlay, frame) {
+    const font = FONTS[overlay.font || 'sans-bold'];
+    const size = overlay.size || frame.height * 0.05;
+    const margin = overlay.margin !== undefined ? overlay.margin : frame.height * 0.06;
+    const strokeWidth = overlay.stroke_width !== undefined ? overlay.stroke_width : Math.max(1, size / 12);
+    const position = overlay.position || 'bottom';
+
+    // libass lays subtitles out on a 288px-high script and scales to the frame, so pixel sizes are converted into that space.
+    // force_style takes legacy SSA alignments: 2 bottom, 10 middle, 6 top, all centered
+    const scale = 288 / frame.height;
+    const style = [
+        `FontName=${font.family}`,
+        `Bold=${font.bold ? 1 : 0}`,
+        `FontSize=${(size * scale).toFixed(1)}`,
+        `PrimaryColour=${toAssColor(parseColor(overlay.color || 'white'))}`,
+        `OutlineColour=${toAssColor(parseColor(overlay.stroke_color || 'black'))}`,
+        'BorderStyle=1',
+        `Outline=${(strokeWidth * scale).toFixed(1)}`,
+        'Shadow=0',
+        `Alignment=${position === 'top' ? 6 : position === 'center' ? 10 : 2}`,
+        `MarginV=${Math.round(margin * scale)}`
+    ];
+
+    return `subtitles=filename=${subtitlesPath}:fontsdir=${FONT_DIR}:force_style='${style.join(',')}'`;
+}
+
+// Writes caption text files and downloads subtitle files into workDir, returning a filter per text layer
+async function buildTextOverlayFilters(textOverlays, frame, workDir) {
+    const filters = [];
+
+    for (let index = 0; index < (textOverlays || []).length; index++) {
+        const overlay = textOverlays[index];
+
+        if (overlay.subtitles_url) {
+            const format = overlay.format || (/\.vtt$/i.test(new URL(overlay.subtitles_url).pathname) ? 'vtt' : 'srt');
+            const subtitlesPath = path.join(workDir, `subtitles_${index}.${format}`);
+            await downloadFile(overlay.subtitles_url, subtitlesPath, { type: 'subtitles', label: `text_overlays[${index}] subtitles` });
+            filters.push(buildSubtitlesFilter(subtitlesPath, overlay, frame));
+        } else {
+            filters.push(...await buildDrawtextFilters(overlay, frame, path.join(workDir, `text_${index}`)));
+        }
+    }
+
+    return filters;
+}
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+function validateCallbackUrl(callbackUrl) {
+    if (callbackUrl === undefined || callbackUrl === null) {
+        return null;
+    }
+
+    try {
+        new URL(callbackUrl);
+    } catch (error) {
+        return { field: 'callback_url', message: 'must be an absolute URL' };
+    }
+
+    // Callbacks go out under the same host rules as downloads; hostnames are checked again when they resolve
+    try {
+        checkDownloadUrl(callbackUrl);
+    } catch (error) {
+        return { field: 'callback_url', message: error.message };
+    }
+
+    if (!WEBHOOK_SECRET) {
+        return { field: 'callback_url', message: 'is not available: WEBHOOK_SECRET is not configured on the server' };
+    }
+
+    return null;
+}
+
+function signWebhookPayload(timestamp, body) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildWebhookPayload(job) {
+    return {
+        event: `job.${job.status}`,
+        success: job.status === 'completed',
+        jobId: job.jobId,
+        type: job.type,
+        status: job.status,
+        completedAt: job.completedAt,
+        ...(job.result || {}),
+        error: job.error || undefined
+    };
+}
+
+// Receivers verify X-Webhook-Signature as HMAC-SHA256 of `${X-Webhook-Timestamp}.${rawBody}`
+async function deliverWebhook(job) {
+    // A retry timer can outlive a job deleted through the API
+    if (!(await jobRepository.get(job.jobId))) {
+        return;
+    }
+
+    const attempt = job.webhook.deliveries.length + 1;
+    const body = JSON.stringify(buildWebhookPayload(job));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const delivery = { attempt: attempt, at: new Date().toISOString() };
+    const startedAt = Date.now();
+
+    try {
+        checkDownloadUrl(job.webhook.url);
+        const response = await axios.post(job.webhook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Event': `job.${job.status}`,
+                'X-Webhook-Id': job.jobId,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signWebhookPayload(timestamp, body)}`
+            },
+            timeout: WEBHOOK_TIMEOUT_MS,
+            maxRedirects: 0,
+            httpAgent: downloadAgents.http,
+            httpsAgent: downloadAgents.https,
+            proxy: false,
+            validateStatus: () => true
+        });
+
+        delivery.statusCode = response.status;
+        if (response.status < 200 || response.status >= 300) {
+            delivery.error = `Callback responded with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        let blocked = error;
+        while (blocked && blocked.code !== 'EDOWNLOADBLOCKED') {
+            blocked = blocked.cause;
+        }
+        delivery.error = blocked ? `callback_url ${blocked.message}` : error.message;
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    // The job can also be deleted while the POST is in flight, and saving it would bring it back
+    if (!(await jobRepository.get(job.jobId))) {
+        return;
+    }
+
+    job.webhook.deliveries.push(delivery);
+
+    if (!delivery.error) {
+        job.webhook.state = 'delivered';
+        job.webhook.nextAttemptAt = null;
+        console.log(`Webhook for job ${job.jobId} delivered on attempt ${attempt}`);
+    } else if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+        job.webhook.state = 'failed';
+        job.webhook.nextAttemptAt = null;
+        console.error(`Webhook for job ${job.jobId} failed after ${attempt} attempts: ${delivery.error}`);
+    } else {
+        const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+        job.webhook.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`Webhook for job ${job.jobId} attempt ${attempt} failed (${delivery.error}), retrying in ${delay}ms`);
+        setTimeout(() => deliverWebhook(job), delay);
+    }
+
+    await saveJob(job);
+}
+
+function scheduleWebhook(job) {
+    if (!job.webhook || job.webhook.state !== 'pending') {
+        return;
+    }
+
+    const delay = job.webhook.nextAttemptAt ? Math.max(0, Date.parse(job.webhook.nextAttemptAt) - Date.now()) : 0;
+    setTimeout(() => deliverWebhook(job), delay);
+}
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '2', 10);
+const JOB_STORE = process.env.JOB_STORE || 'file';
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || path.join(TEMP_DIR, 'jobs');
+
+const ACTIVE_JOB_STATES = ['downloading', 'stitching', 'mixing', 'rendering'];
+
+function matchesJobFilter(job, filter) {
+    if (filter.status && job.status !== filter.status) return false;
+    if (filter.type && job.type !== filter.type) return false;
+    if (filter.since && job.createdAt < filter.since) return false;
+    if (filter.until && job.createdAt > filter.until) return false;
+    if (filter.owner !== undefined && job.owner !== filter.owner) return false;
+    return true;
+}
+
+function paginateJobs(records, filter = {}) {
+    const matching = records
+        .filter(job => matchesJobFilter(job, filter))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const offset = filter.offset || 0;
+    const limit = filter.limit || matching.length;
+
+    return {
+        jobs: matching.slice(offset, offset + limit),
+        total: matching.length
+    };
+}
+
+function createMemoryJobRepository() {
+    const records = new Map();
+
+    return {
+        async init() {},
+        async save(job) {
+            records.set(job.jobId, JSON.parse(JSON.stringify(job)));
+        },
+        async get(jobId) {
+            return records.get(jobId) || null;
+        },
+        async list(filter) {
+            return paginateJobs([...records.values()], filter);
+        },
+        async remove(jobId) {
+            records.delete(jobId);
+        }
+    };
+}
+
+// One JSON document per job, cached in memory and written atomically on every save
+function createFileJobRepository(directory) {
+    const records = new Map();
+    const pendingWrites = new Map();
+
+    const recordPath = (jobId) => path.join(directory, `${jobId}.json`);
+
+    return {
+        async init() {
+            await fs.mkdir(directory, { recursive: true });
+            const files = await fs.readdir(directory);
+
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                try {
+                    const job = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+                    records.set(job.jobId, job);
+                } catch (error) {
+                    console.error(`Skipping unreadable job record ${file}:`, error.message);
+                }
+            }
+
+            console.log(`Loaded ${records.size} job records from ${directory}`);
+        },
+        async save(job) {
+            const snapshot = JSON.stringify(job, null, 2);
+            records.set(job.jobId, JSON.parse(snapshot));
+
+            const previous = pendingWrites.get(job.jobId) || Promise.resolve();
+            const write = previous.then(async () => {
+                const tempPath = `${recordPath(job.jobId)}.tmp`;
+                await fs.writeFile(tempPath, snapshot);
+                await fs.rename(tempPath, recordPath(job.jobId));
+            });
+            pendingWrites.set(job.jobId, write.catch(() => {}));
+            await write;
+        },
+        async get(jobId) {
+            return records.get(jobId) || null;
+        },
+        async list(filter) {
+            return paginateJobs([...records.values()], filter);
+        },
+        async remove(jobId) {
+            records.delete(jobId);
+            await fs.rm(recordPath(jobId), { force: true });
+        }
+    };
+}
+
+function createJobRepository() {
+    switch (JOB_STORE) {
+        case 'memory':
+            return createMemoryJobRepository();
+        case 'file':
+            return createFileJobRepository(JOB_STORE_DIR);
+        default:
+            throw new Error(`Unknown JOB_STORE "${JOB_STORE}". Expected file or memory`);
+    }
+}
+
+const jobRepository = createJobRepository();
+const jobQueue = [];
+let activeJobCount = 0;
+
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const jobHandlers = {
+    'add-image-overlay': processImageOverlayJob,
+    'add-overlay': processOverlayJob,
+    'create-video': processCreateVideoJob,
+    'stitch-videos': processStitchJob
+};
+
+async function saveJob(job) {
+    try {
+        await jobRepository.save(job);
+    } catch (error) {
+        console.error(`Failed to persist job ${job.jobId}:`, error.message);
+    }
+}
+
+async function createJob(type, request, baseUrl, owner = null) {
+    const now = new Date().toISOString();
+    const job = {
+        jobId: uuidv4(),
+        type: type,
+        status: 'queued',
+        request: request,
+        baseUrl: baseUrl,
+        owner: owner,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        steps: [{ status: 'queued', at: now }],
+        outputs: {},
+        webhook: request.callback_url ? { url: request.callback_url, state: 'pending', nextAttemptAt: null, deliveries: [] } : null,
+        result: null,
+        error: null
+    };
+    await saveJob(job);
+    return job;
+}
+
+async function setJobStatus(job, status) {
+    const now = new Date().toISOString();
+    job.status = status;
+    job.updatedAt = now;
+    job.steps.push({ status: status, at: now });
+    console.log(`Job ${job.jobId} is now ${status}`);
+    await saveJob(job);
+    emitJobEvent(job, 'status', { status: status, at: now });
+}
+
+function emitJobEvent(job, event, data) {
+    jobEvents.emit(job.jobId, { event: event, data: data });
+}
+
+function downloadProgress(job, label) {
+    return (progress) => emitJobEvent(job, 'download', { label: label, ...progress });
+}
+
+function stageProgress(job, stage) {
+    return (progress) => emitJobEvent(job, 'progress', { stage: stage, ...progress });
+}
+
+function enqueueJob(job) {
+    jobQueue.push(job);
+    processQueue();
+}
+
+function processQueue() {
+    while (activeJobCount < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+        const job = jobQueue.shift();
+        activeJobCount++;
+        runJob(job).finally(() => {
+            activeJobCount--;
+            processQueue();
+        });
+    }
+}
+
+async function runJob(job) {
+    console.log(`Starting ${job.type} job ${job.jobId}`);
+    job.startedAt = new Date().toISOString();
+
+    try {
+        job.result = await jobHandlers[job.type](job);
+        job.completedAt = new Date().toISOString();
+        job.result.expiresAt = jobExpiresAt(job);
+        job.result.downloadCache = job.downloadCache || undefined;
+        await setJobStatus(job, 'completed');
+        emitJobEvent(job, 'completed', job.result);
+        console.log(`Job ${job.jobId} completed successfully`);
+    } catch (error) {
+        console.error(`Job ${job.jobId} failed:`, error);
+        job.error = error.message;
+        job.completedAt = new Date().toISOString();
+        // Handlers only clean up on success, so a failure leaves downloads and partial outputs behind
+        await cleanupJobTemp(job).catch(cleanupError => console.error(`Temp cleanup for job ${job.jobId} failed:`, cleanupError.message));
+        await removeJobOutputs(job).catch(cleanupError => console.error(`Output cleanup for job ${job.jobId} failed:`, cleanupError.message));
+        await setJobStatus(job, 'failed');
+        emitJobEvent(job, 'failed', { error: job.error });
+    }
+
+    await removeRequestUploads(job).catch(cleanupError => console.error(`Upload cleanup for job ${job.jobId} failed:`, cleanupError.message));
+    scheduleWebhook(job);
+    runRetentionSweep();
+}
+
+// Requeue jobs that never started, fail the ones a restart cut off mid-pipeline and resume pending webhooks
+async function recoverJobs() {
+    const { jobs } = await jobRepository.list();
+
+    for (const job of jobs.reverse()) {
+        if (job.status === 'queued') {
+            console.log(`Requeueing job ${job.jobId} after restart`);
+            enqueueJob(job);
+            continue;
+        }
+
+        if (ACTIVE_JOB_STATES.includes(job.status)) {
+            job.error = `Interrupted by server restart while ${job.status}`;
+            job.completedAt = new Date().toISOString();
+            await cleanupJobTemp(job);
+            await removeJobOutputs(job);
+            await setJobStatus(job, 'failed');
+        }
+
+        scheduleWebhook(job);
+    }
+}
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const STORAGE_KEEP_LOCAL = process.env.STORAGE_KEEP_LOCAL === 'true';
+const S3_BUCKET = process.env.S3_BUCKET || null;
+const S3_PREFIX = process.env.S3_PREFIX || '';
+const S3_PUBLIC_URL = process.env.S3_PUBLIC_URL || null;
+// SigV4 presigned URLs cannot outlive seven days
+const S3_PRESIGN_EXPIRES_SECONDS = Math.min(parseInt(process.env.S3_PRESIGN_EXPIRES_SECONDS || '86400', 10), 604800);
+
+const OUTPUT_CONTENT_TYPES = { '.mp4': 'video/mp4', '.png': 'image/png', '.jpg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+// Local outputs stay in OUTPUT_DIR and are served by this process's own routes
+function createLocalStorage() {
+    return {
+        name: 'local',
+        async put() {},
+        async getUrl() {
+            return null;
+        },
+        async remove() {}
+    };
+}
+
+// Works against AWS and S3-compatible servers such as MinIO through S3_ENDPOINT and S3_FORCE_PATH_STYLE
+function createS3Storage() {
+    if (!S3_BUCKET) {
+        throw new Error('S3_BUCKET is required when STORAGE_BACKEND is s3');
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        // Many S3-compatible servers reject the SDK's default checksum trailers and checksum-mode reads
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED',
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    return {
+        name: 's3',
+        async put(filePath, key, contentType) {
+            const stats = await fs.stat(filePath);
+            await client.send(new PutObjectCommand({
+                Bucket: S3_BUCKET,
+                Key: key,
+                Body: require('fs').createReadStream(filePath),
+                ContentLength: stats.size,
+                ContentType: contentType
+            }));
+        },
+        async getUrl(key, { fileName = null } = {}) {
+            if (S3_PUBLIC_URL) {
+                return `${S3_PUBLIC_URL.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+            }
+
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: S3_BUCKET,
+                Key: key,
+                ResponseContentDisposition: fileName ? `attachment; filename="${fileName}"` : undefined
+            }), { expiresIn: S3_PRESIGN_EXPIRES_SECONDS });
+        },
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        }
+    };
+}
+
+function createStorage() {
+    switch (STORAGE_BACKEND) {
+        case 'local':
+            return createLocalStorage();
+        case 's3':
+            return createS3Storage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Expected local or s3`);
+    }
+}
+
+const storage = createStorage();
+
+function jobOutputPath(job, entryKey) {
+    return entryKey.startsWith('renditions.')
+        ? job.outputs.renditions[entryKey.slice('renditions.'.length)]
+        : job.outputs[entryKey];
+}
+
+// Uploads a finished output and returns the URL clients should use; with local storage that is the app route
+async function publishJobOutput(job, entryKey, localUrl, { attachment = false } = {}) {
+    if (storage.name === 'local') {
+        return resultUrl(localUrl);
+    }
+
+    const filePath = jobOutputPath(job, entryKey);
+    const fileName = path.basename(filePath);
+    const key = `${S3_PREFIX}${job.jobId}/${fileName}`;
+
+    console.log(`Uploading ${fileName} to ${storage.name} storage...`);
+    await storage.put(filePath, key, OUTPUT_CONTENT_TYPES[path.extname(filePath)]);
+    job.storage = { ...(job.storage || {}), [entryKey]: key };
+    await saveJob(job);
+
+    if (!STORAGE_KEEP_LOCAL) {
+        await fs.rm(filePath, { force: true });
+    }
+
+    return storage.getUrl(key, { fileName: attachment ? fileName : null });
+}
+
+// Presigned URLs in a result go stale; the download routes always redirect to a fresh one
+function storageUrlsExpireAt() {
+    if (storage.name === 'local' || S3_PUBLIC_URL) {
+        return storage.name === 'local' && SIGNED_URLS ? new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString() : undefined;
+    }
+    return new Date(Date.now() + S3_PRESIGN_EXPIRES_SECONDS * 1000).toISOString();
+}
+
+async function redirectToStoredOutput(res, jobId, entryKey, { attachment = false } = {}) {
+    const job = await jobRepository.get(jobId);
+    const key = job && job.storage && job.storage[entryKey];
+    if (!key) {
+        return false;
+    }
+
+    res.redirect(302, await storage.getUrl(key, { fileName: attachment ? path.basename(key) : null }));
+    return true;
+}
+
+// Signed links carry ?expires=<unix seconds>&signature=<HMAC of path and expiry>, so they work without
+// an API key but only for the one output they were made for and only until they expire
+const SIGNED_URL_SECRET = process.env.SIGNED_URL_SECRET || null;
+const SIGNED_URLS = process.env.SIGNED_URLS === 'true';
+const SIGNED_URL_MAX_TTL_SECONDS = 7 * 24 * 3600;
+const SIGNED_URL_TTL_SECONDS = Math.min(parseInt(process.env.SIGNED_URL_TTL_SECONDS || '3600', 10), SIGNED_URL_MAX_TTL_SECONDS);
+const SIGNED_URL_PATH = /^\/(download\/[^/]+(\/[^/]+)?|stream\/[^/]+(\/[^/]+)?|(serve-image|poster|contact-sheet|preview)\/[^/]+)$/;
+
+if (SIGNED_URLS && !SIGNED_URL_SECRET) {
+    throw new Error('SIGNED_URL_SECRET is required when SIGNED_URLS is true');
+}
+
+function signUrlPath(pathname, expires) {
+    return crypto.createHmac('sha256', SIGNED_URL_SECRET).update(`${pathname}:${expires}`).digest('base64url');
+}
+
+// Relative paths such as the downloadUrl in results stay relative
+function signUrl(url, ttlSeconds = SIGNED_URL_TTL_SECONDS) {
+    const parsed = new URL(url, 'http://localhost');
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    parsed.searchParams.set('expires', String(expires));
+    parsed.searchParams.set('signature', signUrlPath(parsed.pathname, expires));
+    return url.startsWith('/') ? `${parsed.pathname}${parsed.search}` : parsed.toString();
+}
+
+// Output links put into results, signed when SIGNED_URLS is on
+function resultUrl(url) {
+    return SIGNED_URLS ? signUrl(url) : url;
+}
+
+function verifySignedRequest(req) {
+    if (!SIGNED_URL_SECRET) {
+        return 'Signed URLs are not enabled on this server';
+    }
+
+    const { expires, signature } = req.query;
+    if (typeof expires !== 'string' || !/^\d+$/.test(expires) || typeof signature !== 'string') {
+        return 'Invalid signature';
+    }
+
+    const expected = Buffer.from(signUrlPath(req.path, expires));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Invalid signature';
+    }
+
+    if (parseInt(expires, 10) * 1000 <= Date.now()) {
+        return 'Signed URL has expired';
+    }
+
+    return null;
+}
+
+// Absolute links to whatever outputs a completed job still has, each signed for ttlSeconds
+function mintJobLinks(job, baseUrl, ttlSeconds) {
+    const outputs = job.outputs || {};
+    const link = (pathname) => signUrl(`${baseUrl}${pathname}`, ttlSeconds);
+    const links = {};
+
+    if (outputs.video) {
+        links.downloadUrl = link(`/download/${job.jobId}`);
+        links.streamUrl = link(`/stream/${job.jobId}`);
+    }
+    if (outputs.image) {
+        links.imageUrl = link(`/serve-image/${job.jobId}`);
+    }
+    if (outputs.poster) {
+        links.posterUrl = link(`/poster/${job.jobId}`);
+    }
+    if (outputs.contactSheet) {
+        links.contactSheetUrl = link(`/contact-sheet/${job.jobId}`);
+    }
+    if (outputs.preview) {
+        links.previewUrl = link(`/preview/${job.jobId}`);
+    }
+    if (outputs.renditions) {
+        links.renditions = {};
+        for (const name of Object.keys(outputs.renditions)) {
+            links.renditions[name] = {
+                downloadUrl: link(`/download/${job.jobId}/${name}`),
+                streamUrl: link(`/stream/${job.jobId}/${name}`)
+            };
+        }
+    }
+
+    return links;
+}
+
+// TTLs are in hours per output type; 0 keeps that type until it is deleted or evicted by the quota
+const RETENTION_TTL_HOURS = {
+    video: parseInt(process.env.RETENTION_VIDEO_TTL_HOURS || '24', 10),
+    image: parseInt(process.env.RETENTION_IMAGE_TTL_HOURS || '24', 10),
+    preview: parseInt(process.env.RETENTION_PREVIEW_TTL_HOURS || '72', 10)
+};
+const RETENTION_SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '600000', 10);
+const STORAGE_QUOTA_MB = parseInt(process.env.STORAGE_QUOTA_MB || '10240', 10);
+
+const OUTPUT_RETENTION_TYPES = {
+    video: 'video',
+    renditions: 'video',
+    hls: 'video',
+    image: 'image',
+    poster: 'preview',
+    contactSheet: 'preview',
+    preview: 'preview'
+};
+
+let retentionSweep = null;
+
+// Flattens job.outputs into one entry per file or directory, with renditions addressed as renditions.<name>
+function listJobOutputs(job) {
+    const entries = [];
+
+    for (const [key, value] of Object.entries(job.outputs || {})) {
+        if (key === 'renditions') {
+            Object.entries(value).forEach(([name, filePath]) => entries.push({ key: `renditions.${name}`, type: 'video', path: filePath }));
+        } else {
+            entries.push({ key: key, type: OUTPUT_RETENTION_TYPES[key], path: value });
+        }
+    }
+
+    return entries;
+}
+
+function outputExpiresAt(job, type) {
+    const hours = RETENTION_TTL_HOURS[type];
+    if (!hours || !job.completedAt) {
+        return null;
+    }
+    return new Date(Date.parse(job.completedAt) + hours * 3600 * 1000).toISOString();
+}
+
+// The earliest expiry wins, since that is when the job's results stop being complete
+function jobExpiresAt(job) {
+    const expiries = listJobOutputs(job).map(output => outputExpiresAt(job, output.type)).filter(Boolean).sort();
+    return expiries[0] || null;
+}
+
+async function removeJobOutputs(job, entries = listJobOutputs(job)) {
+    for (const entry of entries) {
+        await fs.rm(entry.path, { recursive: true, force: true });
+
+        if (job.storage && job.storage[entry.key]) {
+            await storage.remove(job.storage[entry.key]);
+            delete job.storage[entry.key];
+        }
+
+        if (entry.key.startsWith('renditions.')) {
+            delete job.outputs.renditions[entry.key.slice('renditions.'.length)];
+            if (Object.keys(job.outputs.renditions).length === 0) {
+                delete job.outputs.renditions;
+            }
+        } else {
+            delete job.outputs[entry.key];
+        }
+    }
+
+    return entries.length;
+}
+
+// Removes the per-job working directory and the files uploaded with the job's request
+async function cleanupJobTemp(job) {
+    await fs.rm(path.join(TEMP_DIR, job.jobId), { recursive: true, force: true });
+    await removeRequestUploads(job);
+}
+
+async function diskUsage(target) {
+    const stats = await fs.stat(target).catch(() => null);
+    if (!stats) {
+        return 0;
+    }
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+
+    const children = await fs.readdir(target);
+    const sizes = await Promise.all(children.map(child => diskUsage(path.join(target, child))));
+    return sizes.reduce((total, size) => total + size, 0);
+}
+
+async function expireJobOutputs(job, entries, reason) {
+    const removed = await removeJobOutputs(job, entries);
+    if (listJobOutputs(job).length === 0) {
+        job.expiredAt = new Date().toISOString();
+        job.expiredReason = reason;
+    }
+    job.updatedAt = new Date().toISOString();
+    await saveJob(job);
+    console.log(`Removed ${removed} ${reason === 'quota' ? 'evicted' : 'expired'} output(s) of job ${job.jobId}`);
+}
+
+// Drops outputs past their TTL, then evicts whole jobs oldest first until the outputs fit the quota
+async function sweepOutputs() {
+    const { jobs } = await jobRepository.list();
+    const finished = jobs.filter(job => ['completed', 'failed'].includes(job.status) && listJobOutputs(job).length > 0);
+    const now = new Date().toISOString();
+
+    for (const job of finished) {
+        const expired = listJobOutputs(job).filter(output => {
+            const expiresAt = outputExpiresAt(job, output.type);
+            return expiresAt && expiresAt <= now;
+        });
+        if (expired.length > 0) {
+            await expireJobOutputs(job, expired, 'ttl');
+        }
+    }
+
+    if (!STORAGE_QUOTA_MB) {
+        return;
+    }
+
+    const quotaBytes = STORAGE_QUOTA_MB * 1024 * 1024;
+    const usage = [];
+    for (const job of finished.filter(candidate => listJobOutputs(candidate).length > 0)) {
+        const sizes = await Promise.all(listJobOutputs(job).map(output => diskUsage(output.path)));
+        usage.push({ job: job, bytes: sizes.reduce((total, size) => total + size, 0) });
+    }
+
+    let totalBytes = usage.reduce((total, entry) => total + entry.bytes, 0);
+    usage.sort((a, b) => a.job.completedAt.localeCompare(b.job.completedAt));
+
+    for (const entry of usage) {
+        if (totalBytes <= quotaBytes) {
+            break;
+        }
+        await expireJobOutputs(entry.job, listJobOutputs(entry.job), 'quota');
+        totalBytes -= entry.bytes;
+    }
+}
+
+// Sweeps never overlap; a request while one is running shares its result
+function runRetentionSweep() {
+    if (!retentionSweep) {
+        retentionSweep = Promise.all([sweepOutputs(), sweepUploads(), sweepDownloadCache()])
+            .catch(error => console.error('Retention sweep failed:', error.message))
+            .finally(() => {
+                retentionSweep = null;
+            });
+    }
+    return retentionSweep;
+}
+
+// Each rendition is re-encoded from the finished video and gets its own download and stream URL
+async function renderJobRenditions(job, sourcePath, outputs) {
+    const renditions = resolveRenditions(outputs);
+    if (renditions.length === 0) {
+        return [];
+    }
+
+    await setJobStatus(job, 'rendering');
+    job.outputs.renditions = {};
+
+    const results = [];
+    for (const rendition of renditions) {
+        console.log(`Rendering ${rendition.name} rendition (${rendition.width}x${rendition.height}, ${rendition.fit})...`);
+        const renditionPath = path.join(OUTPUT_DIR, `final_video_${job.jobId}_${rendition.name}.mp4`);
+        job.outputs.renditions[rendition.name] = renditionPath;
+        await renderRendition(sourcePath, renditionPath, rendition, stageProgress(job, `rendering ${rendition.name}`));
+
+        const stats = await fs.stat(renditionPath);
+        results.push({
+            ...rendition,
+            downloadUrl: resultUrl(`/download/${job.jobId}/${rendition.name}`),
+            streamUrl: resultUrl(`/stream/${job.jobId}/${rendition.name}`),
+            finalVideoUrl: await publishJobOutput(job, `renditions.${rendition.name}`, `${job.baseUrl}/download/${job.jobId}/${rendition.name}`, { attachment: true }),
+            fileSize: stats.size,
+            fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2)
+        });
+    }
+
+    return results;
+}
+
+// Timestamps are clamped into the video so a poster or preview never comes back empty
+async function renderJobPreviews(job, videoPath, previews, timeline = null) {
+    if (!previews || !['poster', 'contact_sheet', 'animated'].some(key => previews[key])) {
+        return null;
+    }
+
+    if (job.status !== 'rendering') {
+        await setJobStatus(job, 'rendering');
+    }
+
+    const duration = await getVideoDuration(videoPath);
+    const latest = Math.max(0, duration - 0.1);
+    const optionsFor = key => (typeof previews[key] === 'object' ? previews[key] : {});
+    const result = {};
+
+    if (previews.poster) {
+        const requested = optionsFor('poster').time;
+        const time = Math.min(requested !== undefined ? requested : Math.min(1, duration / 2), latest);
+        console.log(`Rendering poster frame at ${time.toFixed(2)}s...`);
+        job.outputs.poster = path.join(OUTPUT_DIR, `poster_${job.jobId}.jpg`);
+        await renderPoster(videoPath, job.outputs.poster, time);
+        result.posterUrl = await publishJobOutput(job, 'poster', `${job.baseUrl}/poster/${job.jobId}`);
+        result.posterTime = time;
+    }
+
+    if (previews.contact_sheet) {
+        const options = { ...PREVIEW_DEFAULTS.contactSheet, ...optionsFor('contact_sheet') };
+        // One frame from the middle of each scene, or evenly spaced frames for a single video
+        const timestamps = (timeline
+            ? timeline.map(entry => (entry.start + entry.end) / 2)
+            : Array.from({ length: options.frames }, (_, index) => duration * (index + 0.5) / options.frames)
+        ).map(time => Math.min(time, latest));
+        console.log(`Rendering contact sheet of ${timestamps.length} frames...`);
+        job.outputs.contactSheet = path.join(OUTPUT_DIR, `contact_sheet_${job.jobId}.jpg`);
+        await renderContactSheet(videoPath, job.outputs.contactSheet, timestamps, options);
+        result.contactSheetUrl = await publishJobOutput(job, 'contactSheet', `${job.baseUrl}/contact-sheet/${job.jobId}`);
+        result.contactSheetFrames = timestamps.length;
+    }
+
+    if (previews.animated) {
+        const options = { ...PREVIEW_DEFAULTS.animated, ...optionsFor('animated') };
+        options.start = Math.min(options.start, latest);
+        console.log(`Rendering ${options.duration}-second ${options.format} preview...`);
+        job.outputs.preview = path.join(OUTPUT_DIR, `preview_${job.jobId}.${options.format}`);
+        await renderAnimatedPreview(videoPath, job.outputs.preview, options);
+        result.previewUrl = await publishJobOutput(job, 'preview', `${job.baseUrl}/preview/${job.jobId}`);
+        result.previewFormat = options.format;
+    }
+
+    return result;
+}
+
+async function packageJobHls(job, videoPath, hls) {
+    if (!hls) {
+        return null;
+    }
+
+    if (job.status !== 'rendering') {
+        await setJobStatus(job, 'rendering');
+    }
+
+    const variants = planHlsVariants(hls, await getVideoDimensions(videoPath));
+    const segmentDuration = (typeof hls === 'object' && hls.segment_duration) || HLS_DEFAULTS.segmentDuration;
+    console.log(`Packaging HLS with ${variants.map(variant => variant.name).join(', ')}...`);
+
+    job.outputs.hls = path.join(OUTPUT_DIR, `hls_${job.jobId}`);
+    await packageHls(videoPath, job.outputs.hls, variants, segmentDuration, stageProgress(job, 'packaging'));
+
+    return { variants: variants, segmentDuration: segmentDuration };
+}
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || null;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '60', 10);
+const MAX_JOBS_PER_KEY = parseInt(process.env.MAX_JOBS_PER_KEY || '2', 10);
+const JOB_SLOT_RETRY_AFTER_SECONDS = parseInt(process.env.JOB_SLOT_RETRY_AFTER_SECONDS || '30', 10);
+const PUBLIC_PATHS = ['/', '/health', '/openapi.json'];
+const OPEN_JOB_STATES = ['queued', ...ACTIVE_JOB_STATES];
+
+// Keys are looked up by their SHA-256 so the secrets themselves are never kept around or compared
+let apiKeys = new Map();
+const rateWindows = new Map();
+const reservedJobSlots = new Map();
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// API_KEYS takes name:key pairs separated by commas; API_KEYS_FILE is a JSON array of
+// { name, key, rate_limit_per_minute, max_concurrent_jobs, admin }. Limits of 0 mean unlimited
+async function loadApiKeys() {
+    const entries = (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        return { name: entry.slice(0, separator), key: separator > 0 ? entry.slice(separator + 1) : '' };
+    });
+
+    if (API_KEYS_FILE) {
+        const parsed = JSON.parse(await fs.readFile(API_KEYS_FILE, 'utf8'));
+        entries.push(...(Array.isArray(parsed) ? parsed : []));
+    }
+
+    const keys = new Map();
+    const names = new Set();
+    for (const entry of entries) {
+        if (!entry || typeof entry.name !== 'string' || !entry.name || typeof entry.key !== 'string' || !entry.key) {
+            throw new Error('Every API key needs a name and a key (API_KEYS entries look like name:key)');
+        }
+        if (names.has(entry.name)) {
+            throw new Error(`API key name ${entry.name} is used more than once`);
+        }
+        names.add(entry.name);
+
+        keys.set(hashApiKey(entry.key), {
+            name: entry.name,
+            rateLimit: Number.isInteger(entry.rate_limit_per_minute) ? entry.rate_limit_per_minute : RATE_LIMIT_PER_MINUTE,
+            maxJobs: Number.isInteger(entry.max_concurrent_jobs) ? entry.max_concurrent_jobs : MAX_JOBS_PER_KEY,
+            admin: entry.admin === true
+        });
+    }
+
+    return keys;
+}
+
+// Jobs and uploads made before keys were configured have no owner and are only visible to admin keys
+function canAccessOwner(apiKey, owner) {
+    return !apiKey || apiKey.admin || owner === apiKey.name;
+}
+
+// Fixed one-minute windows; returns the seconds until the window resets once the key is over its limit
+function consumeRateLimit(apiKey, res) {
+    if (!apiKey.rateLimit) {
+        return 0;
+    }
+
+    const now = Date.now();
+    let window = rateWindows.get(apiKey.name);
+    if (!window || now - window.start >= 60000) {
+        window = { start: now, count: 0 };
+        rateWindows.set(apiKey.name, window);
+    }
+    window.count++;
+
+    res.set('X-RateLimit-Limit', String(apiKey.rateLimit));
+    res.set('X-RateLimit-Remaining', String(Math.max(apiKey.rateLimit - window.count, 0)));
+
+    return window.count > apiKey.rateLimit ? Math.ceil((window.start + 60000 - now) / 1000) : 0;
+}
+
+// A valid signature stands in for an API key on the output it was made for. With no keys configured
+// the service stays open, as it was before keys existed
+function authenticate(req, res, next) {
+    req.apiKey = null;
+
+    if (SIGNED_URL_PATH.test(req.path) && (req.query.signature !== undefined || req.query.expires !== undefined)) {
+        const signatureError = verifySignedRequest(req);
+        if (signatureError) {
+            return res.status(403).json({ error: signatureError });
+        }
+        return next();
+    }
+
+    if (apiKeys.size === 0 || PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    const presented = req.get('x-api-key') || (bearer && bearer[1]);
+    if (!presented) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'API key required. Send it as Authorization: Bearer <key> or X-API-Key' });
+    }
+
+    const apiKey = apiKeys.get(hashApiKey(presented));
+    if (!apiKey) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.apiKey = apiKey;
+
+    const retryAfter = consumeRateLimit(apiKey, res);
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            error: `Rate limit of ${apiKey.rateLimit} requests per minute exceeded`,
+            retryAfter: retryAfter
+        });
+    }
+
+    next();
+}
+
+// Runs ahead of upload parsing so a key at its cap is turned away before any bytes are stored.
+// The slot stays reserved until createRequestJob stores the job, or the request ends without one
+async function requireJobSlot(req, res, next) {
+    const apiKey = req.apiKey;
+    if (!apiKey || !apiKey.maxJobs) {
+        return next();
+    }
+
+    try {
+        const { jobs } = await jobRepository.list({ owner: apiKey.name });
+        const open = jobs.filter(job => OPEN_JOB_STATES.includes(job.status)).length + (reservedJobSlots.get(apiKey.name) || 0);
+
+        if (open >= apiKey.maxJobs) {
+            res.set('Retry-After', String(JOB_SLOT_RETRY_AFTER_SECONDS));
+            return res.status(429).json({
+                error: `API key ${apiKey.name} already has ${apiKey.maxJobs} jobs queued or running`,
+                retryAfter: JOB_SLOT_RETRY_AFTER_SECONDS
+            });
+        }
+
+        let reserved = true;
+        reservedJobSlots.set(apiKey.name, (reservedJobSlots.get(apiKey.name) || 0) + 1);
+        req.releaseJobSlot = () => {
+            if (reserved) {
+                reserved = false;
+                reservedJobSlots.set(apiKey.name, reservedJobSlots.get(apiKey.name) - 1);
+            }
+        };
+        res.once('close', req.releaseJobSlot);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Once the job is stored it counts against the key itself, so the reserved slot is handed back
+async function createRequestJob(req, type, request) {
+    const job = await createJob(type, request, `${req.protocol}://${req.get('host')}`, req.apiKey ? req.apiKey.name : null);
+    if (req.releaseJobSlot) {
+        req.releaseJobSlot();
+    }
+    return job;
+}
+
+app.use(authenticate);
+
+// Every route with a :jobId or :uploadId is scoped to the key that created it
+app.param('jobId', async (req, res, next, jobId) => {
+    try {
+        const job = await jobRepository.get(jobId);
+        if (job && !canAccessOwner(req.apiKey, job.owner)) {
+            return res.status(403).json({ error: 'Job belongs to another API key', jobId: jobId });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.param('uploadId', async (req, res, next, uploadId) => {
+    try {
+        const record = await readUploadRecord(uploadId);
+        if (record && !canAccessOwner(req.apiKey, record.owner)) {
+            return res.status(403).json({ error: 'Upload belongs to another API key', uploadId: uploadId });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Request bodies are checked against these schemas before any handler runs; the validate* helpers
+// only cover what a schema can't express, such as duplicate scene numbers, start before end and callback configuration
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+
+function numberSchema(min, max = Infinity, type = 'number') {
+    return max === Infinity ? { type: type, minimum: min } : { type: type, minimum: min, maximum: max };
+}
+
+// Turns "group.key" range tables such as MIX_OPTION_RANGES into the properties of one group
+function rangeProperties(ranges, group, integerKeys = []) {
+    const properties = {};
+    for (const [field, [min, max]] of Object.entries(ranges)) {
+        const [prefix, key] = field.split('.');
+        if (prefix === group) {
+            properties[key] = numberSchema(min, max, integerKeys.includes(key) ? 'integer' : 'number');
+        }
+    }
+    return properties;
+}
+
+// Fields such as transition and outputs entries take a name as shorthand for the object form
+function shorthandSchema(names, required, properties) {
+    return {
+        type: ['string', 'object'],
+        if: { type: 'string' },
+        then: { enum: names },
+        else: { required: required, properties: properties }
+    };
+}
+
+const secondsSchema = numberSchema(0);
+const inputUrlSchema = { type: 'string', pattern: '^(https?|upload)://', description: 'an http(s) URL or an upload:// reference' };
+const httpUrlSchema = { type: 'string', pattern: '^https?://', description: 'an http(s) URL' };
+const pixelsOrPercentSchema = { type: ['number', 'string'], minimum: 0, pattern: '^\\d+(\\.\\d+)?%$', description: 'a non-negative number of pixels or a percentage such as "25%"' };
+const sceneNumberSchema = { type: ['integer', 'string'], pattern: '^\\s*-?\\d+\\s*$', description: 'an integer' };
+const evenDimensionSchema = { type: 'integer', minimum: 16, maximum: 4096, multipleOf: 2 };
+
+function overlayOptionSchema(key, description) {
+    const [min, max] = OVERLAY_OPTION_RANGES[key];
+    return { type: ['number', 'string'], minimum: min, maximum: max, pattern: '^\\d+(\\.\\d+)?$', description: `${description} between ${min} and ${max}` };
+}
+
+const overlayOptionsSchema = {
+    type: 'object',
+    properties: {
+        position: { enum: OVERLAY_POSITIONS },
+        size: overlayOptionSchema('size', 'a width in pixels'),
+        margin: overlayOptionSchema('margin', 'a margin in pixels'),
+        opacity: overlayOptionSchema('opacity', 'an opacity')
+    }
+};
+
+const overlaysSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: inputUrlSchema,
+            position: { enum: OVERLAY_POSITIONS },
+            x: pixelsOrPercentSchema,
+            y: pixelsOrPercentSchema,
+            size: { type: ['number', 'string'], exclusiveMinimum: 0, maximum: 1, pattern: '^\\d+(\\.\\d+)?%$', description: 'a fraction of the frame width between 0 and 1, or a percentage such as "20%"' },
+            width: numberSchema(1),
+            margin: numberSchema(0),
+            opacity: numberSchema(0, 1),
+            start: secondsSchema,
+            end: secondsSchema,
+            fade_in: secondsSchema,
+            fade_out: secondsSchema
+        }
+    }
+};
+
+const textOverlaysSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            text: { type: 'string', minLength: 1 },
+            subtitles_url: httpUrlSchema,
+            format: { enum: SUBTITLE_FORMATS },
+            font: { enum: Object.keys(FONTS) },
+            size: numberSchema(...TEXT_SIZE_RANGE),
+            color: { type: 'string' },
+            stroke_color: { type: 'string' },
+            stroke_width: numberSchema(0),
+            background_color: { type: 'string' },
+            position: { enum: TEXT_POSITIONS },
+            x: numberSchema(0),
+            y: numberSchema(0),
+            margin: numberSchema(0),
+            uppercase: { type: 'boolean' },
+            start: secondsSchema,
+            end: secondsSchema,
+            scene: sceneNumberSchema
+        }
+    }
+};
+
+const musicOptionsSchema = {
+    type: 'object',
+    properties: {
+        start: secondsSchema,
+        duration: { type: 'number', exclusiveMinimum: 0 },
+        fade_in: secondsSchema,
+        fade_out: secondsSchema,
+        output_length: {
+            anyOf: [{ enum: MUSIC_OUTPUT_LENGTHS }, { type: 'number', exclusiveMinimum: 0 }],
+            description: "'video', 'music' or a number of seconds"
+        }
+    }
+};
+
+const mixOptionsSchema = {
+    type: 'object',
+    properties: {
+        clip_volume: numberSchema(...MIX_OPTION_RANGES.clip_volume),
+        music_volume: numberSchema(...MIX_OPTION_RANGES.music_volume),
+        ducking: { type: ['boolean', 'object'], properties: rangeProperties(MIX_OPTION_RANGES, 'ducking') },
+        loudness: { type: ['boolean', 'object'], properties: rangeProperties(MIX_OPTION_RANGES, 'loudness') }
+    }
+};
+
+const TRANSITION_TYPES = ['cut', ...Object.keys(TRANSITION_ALIASES), ...XFADE_TRANSITIONS];
+const transitionSchema = shorthandSchema(TRANSITION_TYPES, ['type'], {
+    type: { enum: TRANSITION_TYPES },
+    duration: { type: 'number', exclusiveMinimum: 0, maximum: MAX_TRANSITION_DURATION }
+});
+
+const normalizeSchema = {
+    type: 'object',
+    properties: {
+        width: numberSchema(16, 4096, 'integer'),
+        height: numberSchema(16, 4096, 'integer'),
+        fps: numberSchema(1, 120),
+        fit: { enum: NORMALIZE_FITS },
+        sample_rate: { enum: NORMALIZE_SAMPLE_RATES },
+        channels: { enum: [1, 2] },
+        background: { type: 'string', pattern: '^(#?[0-9a-fA-F]{6}|[a-zA-Z]+)$', description: 'a color name or hex value like #000000' }
+    }
+};
+
+const outputsSchema = {
+    type: 'array',
+    maxItems: MAX_RENDITIONS,
+    items: shorthandSchema(Object.keys(OUTPUT_PRESETS), ['preset'], {
+        preset: { enum: Object.keys(OUTPUT_PRESETS) },
+        name: { type: 'string', pattern: '^[a-z0-9-]{1,32}$', description: '1-32 lowercase letters, digits or dashes' },
+        width: evenDimensionSchema,
+        height: evenDimensionSchema,
+        fit: { enum: OUTPUT_FITS },
+        crf: numberSchema(0, 51, 'integer'),
+        video_bitrate: { type: 'string', pattern: '^\\d+(\\.\\d+)?[kM]$', description: 'a bitrate like 2500k or 4M' },
+        fps: numberSchema(1, 120),
+        audio_bitrate: { type: 'string', pattern: '^\\d+k$', description: 'a bitrate like 128k' }
+    })
+};
+
+const previewsSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        poster: { type: ['boolean', 'object'], properties: rangeProperties(PREVIEW_RANGES, 'poster') },
+        contact_sheet: { type: ['boolean', 'object'], properties: rangeProperties(PREVIEW_RANGES, 'contact_sheet', ['columns', 'width', 'frames']) },
+        animated: {
+            type: ['boolean', 'object'],
+            properties: { ...rangeProperties(PREVIEW_RANGES, 'animated', ['width']), format: { enum: PREVIEW_FORMATS } }
+        }
+    }
+};
+
+const hlsSchema = {
+    type: ['boolean', 'object'],
+    properties: {
+        variants: { type: 'array', minItems: 1, maxItems: 4, uniqueItems: true, items: { enum: Object.keys(HLS_LADDER) } },
+        segment_duration: numberSchema(2, 10)
+    }
+};
+
+const scenesSchema = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['final_video_url', 'scene_number'],
+        properties: {
+            final_video_url: inputUrlSchema,
+            scene_number: sceneNumberSchema,
+            start: secondsSchema,
+            end: secondsSchema,
+            duration: { type: 'number', exclusiveMinimum: 0 },
+            speed: numberSchema(MIN_SCENE_SPEED, MAX_SCENE_SPEED),
+            mute: { type: 'boolean' },
+            transition: transitionSchema
+        }
+    }
+};
+
+const callbackUrlSchema = { type: 'string', pattern: '^https?://', description: 'an absolute http(s) URL' };
+
+// Fields shared by the two video routes
+const videoJobProperties = {
+    overlay_image_url: inputUrlSchema,
+    overlay_options: overlayOptionsSchema,
+    overlays: overlaysSchema,
+    text_overlays: textOverlaysSchema,
+    music_options: musicOptionsSchema,
+    mix_options: mixOptionsSchema,
+    outputs: outputsSchema,
+    previews: previewsSchema,
+    hls: hlsSchema,
+    callback_url: callbackUrlSchema
+};
+
+const REQUEST_SCHEMAS = {
+    AddOverlayRequest: {
+        type: 'object',
+        required: ['final_stitch_video', 'final_music_url'],
+        properties: {
+            final_stitch_video: inputUrlSchema,
+            final_music_url: inputUrlSchema,
+            ...videoJobProperties
+        }
+    },
+    AddImageOverlayRequest: {
+        type: 'object',
+        required: ['final_image_url'],
+        properties: {
+            final_image_url: inputUrlSchema,
+            overlay_image_url: inputUrlSchema,
+            overlay_options: overlayOptionsSchema,
+            overlays: overlaysSchema,
+            text_overlays: textOverlaysSchema,
+            callback_url: callbackUrlSchema
+        }
+    },
+    StitchVideosRequest: {
+        type: 'object',
+        required: ['videos', 'mv_audio'],
+        properties: {
+            videos: scenesSchema,
+            mv_audio: inputUrlSchema,
+            transition: transitionSchema,
+            normalize: normalizeSchema,
+            ...videoJobProperties
+        }
+    },
+    CreateVideoRequest: {
+        type: 'object',
+        required: ['username', 'tweet'],
+        properties: {
+            username: { type: 'string', minLength: 1 },
+            tweet: { type: 'string', minLength: 1 },
+            imageUrl: httpUrlSchema,
+            musicUrl: httpUrlSchema
+        }
+    },
+    CreateLinksRequest: {
+        type: 'object',
+        properties: {
+            expires_in: numberSchema(1, SIGNED_URL_MAX_TTL_SECONDS, 'integer')
+        }
+    },
+    CreateUploadRequest: {
+        type: 'object',
+        required: ['filename', 'size'],
+        properties: {
+            filename: { type: 'string', minLength: 1 },
+            size: { type: 'integer', minimum: 1 },
+            content_type: { type: 'string' }
+        }
+    }
+};
+
+// Ajv paths are JSON pointers; errors name fields the way the request spells them, e.g. videos[0].scene_number
+function formatSchemaErrors(errors) {
+    const formatted = [];
+
+    for (const error of errors) {
+        if (error.keyword === 'if') {
+            continue;
+        }
+
+        let field = error.instancePath.split('/').slice(1)
+            .reduce((name, part) => /^\d+$/.test(part) ? `${name}[${part}]` : name ? `${name}.${part}` : part, '');
+        const description = error.parentSchema && error.parentSchema.description;
+        let message;
+
+        if (error.keyword === 'required') {
+            field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+            message = 'is required';
+        } else if (error.keyword === 'additionalProperties') {
+            field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+            message = 'is not a supported field';
+        } else if (description && ['type', 'pattern', 'anyOf'].includes(error.keyword)) {
+            message = `must be ${description}`;
+        } else if (error.keyword === 'enum') {
+            message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+        } else if (error.keyword === 'uniqueItems') {
+            message = 'must not repeat an entry';
+        } else if (error.keyword === 'type') {
+            message = `must be of type ${[].concat(error.schema).join(' or ')}`;
+        } else {
+            message = error.message;
+        }
+
+        field = field || 'body';
+        if (!formatted.some(entry => entry.field === field)) {
+            formatted.push({ field: field, message: message });
+        }
+    }
+
+    return formatted;
+}
+
+function validateBody(schemaName) {
+    const validate = ajv.compile(REQUEST_SCHEMAS[schemaName]);
+
+    return (req, res, next) => {
+        if (validate(req.body)) {
+            return next();
+        }
+
+        // anyOf branches report their own errors as well; only the summary on the field itself is kept
+        const errors = formatSchemaErrors(validate.errors.filter(error => !/\/anyOf\//.test(error.schemaPath)));
+        res.status(400).json({
+            error: `Invalid input. ${errors[0].field} ${errors[0].message}`,
+            errors: errors
+        });
+    };
+}
+
+// Rules checked after the schema answer in the same field-level shape as schema errors
+function rejectInvalid(res, error) {
+    return res.status(400).json({
+        error: `Invalid input. ${error.field} ${error.message}`,
+        errors: [error]
+    });
+}
+
+async function processOverlayJob(job) {
+    const { final_stitch_video, final_music_url, overlay_image_url, overlay_options, overlays, text_overlays, music_options, mix_options, outputs, previews, hls } = job.request;
+
+    const jobDir = path.join(TEMP_DIR, job.jobId);
+    await fs.mkdir(jobDir, { recursive: true });
+
+    await setJobStatus(job, 'downloading');
+    console.log('Step 1: Downloading video...');
+    const videoPath = path.join(jobDir, 'input_video.mp4');
+    await downloadJobInput(job, final_stitch_video, videoPath, 'video', 'video');
+
+    console.log('Step 2: Downloading music...');
+    const audioPath = path.join(jobDir, 'audio.mp3');
+    const trimmedAudioPath = path.join(jobDir, 'audio_trimmed.mp3');
+    await downloadJobInput(job, final_music_url, audioPath, 'audio', 'music');
+
+    const layers = resolveOverlayLayers(overlays, overlay_image_url, overlay_options);
+    if (layers.length > 0) {
+        console.log('Step 3: Downloading overlay images...');
+    }
+    const overlayLayers = await downloadOverlayLayers(job, layers, jobDir);
+
+    const textFilters = await buildTextOverlayFilters(text_overlays, await getVideoDimensions(videoPath), jobDir);
+
+    await setJobStatus(job, 'mixing');
+    console.log('Step 4: Trimming music...');
+    const musicPlan = planMusicTrack(music_options, await getVideoDuration(videoPath), await getVideoDuration(audioPath));
+    const { looped } = await trimAudio(audioPath, trimmedAudioPath, musicPlan, stageProgress(job, 'trimming'));
+
+    console.log('Step 5: Adding audio and overlay...');
+    const finalVideoPath = path.join(OUTPUT_DIR, `final_video_${job.jobId}.mp4`);
+    job.outputs.video = finalVideoPath;
+    await addAudioAndOverlayToVideo(videoPath, trimmedAudioPath, finalVideoPath, overlayLayers, textFilters, { outputDuration: musicPlan.outputDuration, ...resolveMixOptions(mix_options) }, stageProgress(job, 'mixing'));
+
+    const finalDuration = await getVideoDuration(finalVideoPath);
+    const loudness = await measureLoudness(finalVideoPath);
+    const stats = await fs.stat(finalVideoPath);
+    const renditions = await renderJobRenditions(job, finalVideoPath, outputs);
+    const previewUrls = await renderJobPreviews(job, finalVideoPath, previews);
+    const hlsPackage = await packageJobHls(job, finalVideoPath, hls);
+
+    await fs.rm(jobDir, { recursive: true, force: true });
+
+    return {
+        downloadUrl: resultUrl(`/download/${job.jobId}`),
+        streamUrl: resultUrl(`/stream/${job.jobId}`),
+        finalVideoUrl: await publishJobOutput(job, 'video', `${job.baseUrl}/download/${job.jobId}`, { attachment: true }),
+        urlsExpireAt: storageUrlsExpireAt(),
+        hlsUrl: hlsPackage ? `${job.baseUrl}/hls/${job.jobId}/master.m3u8` : undefined,
+        hls: hlsPackage || undefined,
+        videoStats: {
+            duration: finalDuration,
+            fileSize: stats.size,
+            fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2),
+            loudness: loudness
+        },
+        previews: previewUrls,
+        music: { ...musicPlan, looped: looped },
+        mix: resolveMixOptions(mix_options),
+        overlayApplied: layers.length > 0,
+        overlays: layers.length,
+        textOverlays: text_overlays ? text_overlays.length : 0,
+        renditions: renditions,
+        message: 'Successfully added audio and overlay to video'
+    };
+}
+
+app.post('/api/add-overlay', requireJobSlot, acceptUploads, validateBody('AddOverlayRequest'), async (req, res) => {
+    const { callback_url, overlay_options, overlays, text_overlays, outputs } = req.body;
+
+    const ruleError = validateOverlayOptions(overlay_options) ||
+        validateOverlays(overlays) ||
+        validateTextOverlays(text_overlays) ||
+        validateOutputs(outputs) ||
+        validateCallbackUrl(callback_url);
+    if (ruleError) {
+        return rejectInvalid(res, ruleError);
+    }
+
+    const job = await createRequestJob(req, 'add-overlay', req.body);
+    console.log(`Queued overlay job ${job.jobId}`);
+    enqueueJob(job);
+
+    res.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/status/${job.jobId}`,
+        message: 'Overlay job queued'
+    });
+});
+
+async function processImageOverlayJob(job) {
+    const { final_image_url, overlay_image_url, overlay_options, overlays, text_overlays } = job.request;
+
+    const jobDir = path.join(TEMP_DIR, job.jobId);
+    await fs.mkdir(jobDir, { recursive: true });
+
+    await setJobStatus(job, 'downloading');
+    console.log('Step 1: Downloading base image...');
+    const baseImagePath = path.join(jobDir, 'base_image.png');
+    await downloadJobInput(job, final_image_url, baseImagePath, 'image', 'image');
+
+    const layers = resolveOverlayLayers(overlays, overlay_image_url, overlay_options);
+    if (layers.length > 0) {
+        console.log('Step 2: Downloading overlay images...');
+    }
+    const overlayLayers = await downloadOverlayLayers(job, layers, jobDir);
+
+    await setJobStatus(job, 'rendering');
+    console.log('Step 3: Adding overlay to image...');
+    const textFilters = await buildTextOverlayFilters(text_overlays, await getVideoDimensions(baseImagePath), jobDir);
+    const finalImagePath = path.join(OUTPUT_DIR, `final_image_${job.jobId}.png`);
+    job.outputs.image = finalImagePath;
+    await addOverlayToImage(baseImagePath, overlayLayers, finalImagePath, textFilters);
+
+    const stats = await fs.stat(finalImagePath);
+
+    await fs.rm(jobDir, { recursive: true, force: true });
+
+    return {
+        downloadUrl: `/download-image/${job.jobId}`,
+        // /download-image only answers with a link, so signed results point straight at the image
+        finalImageUrl: await publishJobOutput(job, 'image', `${job.baseUrl}/${SIGNED_URLS ? 'serve-image' : 'download-image'}/${job.jobId}`),
+        urlsExpireAt: storageUrlsExpireAt(),
+        imageStats: {
+            fileSize: stats.size,
+            fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2)
+        },
+        overlayApplied: layers.length > 0,
+        overlays: layers.length,
+        textOverlays: text_overlays ? text_overlays.length : 0,
+        message: 'Successfully added overlay to image'
+    };
+}
+
+// Image overlays are quick, so they run inline and keep the synchronous response
+app.post('/api/add-image-overlay', requireJobSlot, acceptUploads, validateBody('AddImageOverlayRequest'), async (req, res) => {
+    const { overlay_image_url, overlay_options, overlays, text_overlays, callback_url } = req.body;
+    const hasLayers = [overlays, text_overlays].some(list => Array.isArray(list) && list.length > 0);
+    
+    if (!overlay_image_url && !hasLayers) {
+        return rejectInvalid(res, { field: 'overlay_image_url', message: 'is required when overlays and text_overlays are empty' });
+    }
+
+    const ruleError = validateOverlayOptions(overlay_options) ||
+        validateOverlays(overlays, { allowTiming: false }) ||
+        validateTextOverlays(text_overlays, { allowSubtitles: false, allowTiming: false }) ||
+        validateCallbackUrl(callback_url);
+    if (ruleError) {
+        return rejectInvalid(res, ruleError);
+    }
+
+    const job = await createRequestJob(req, 'add-image-overlay', req.body);
+    await runJob(job);
+
+    if (job.status === 'failed') {
+        return res.status(500).json({
+            success: false,
+            error: job.error,
+            jobId: job.jobId
+        });
+    }
+
+    res.json({
+        success: true,
+        jobId: job.jobId,
+        ...job.result
+    });
+});
+
+async function processStitchJob(job) {
+    const { videos, mv_audio, overlay_image_url, overlay_options, overlays, text_overlays, music_options, mix_options, transition, normalize, outputs, previews, hls } = job.request;
+
+    const jobDir = path.join(TEMP_DIR, job.jobId);
+    await fs.mkdir(jobDir, { recursive: true });
+
+    await setJobStatus(job, 'downloading');
+    console.log('Step 1: Downloading music...');
+    const audioPath = path.join(jobDir, 'audio.mp3');
+    const trimmedAudioPath = path.join(jobDir, 'audio_trimmed.mp3');
+    await downloadJobInput(job, mv_audio, audioPath, 'audio', 'music');
+
+    const layers = resolveOverlayLayers(overlays, overlay_image_url, overlay_options);
+    if (layers.length > 0) {
+        console.log('Step 2: Downloading overlay images...');
+    }
+    const overlayLayers = await downloadOverlayLayers(job, layers, jobDir);
+
+    console.log('Step 3: Sorting and downloading videos...');
+    const sortedVideos = [...videos].sort((a, b) => parseSceneNumber(a.scene_number) - parseSceneNumber(b.scene_number));
+
+    console.log('Video processing order:', sortedVideos.map(v => `Scene ${v.scene_number}`).join(' -> '));
+
+    let downloadedCount = 0;
+    const scenes = await mapWithConcurrency(sortedVideos, DOWNLOAD_CONCURRENCY, async (video) => {
+        const videoPath = path.join(jobDir, `video_${String(parseSceneNumber(video.scene_number)).padStart(3, '0')}.mp4`);
+        await downloadJobInput(job, video.final_video_url, videoPath, 'video', `scene ${video.scene_number}`);
+        console.log(`Downloaded video ${++downloadedCount}/${sortedVideos.length}: Scene ${video.scene_number}`);
+        return {
+            path: videoPath,
+            sceneNumber: parseSceneNumber(video.scene_number),
+            start: video.start,
+            end: video.end,
+            duration: video.duration,
+            speed: video.speed,
+            mute: video.mute,
+            transition: resolveTransition(video.transition !== undefined ? video.transition : transition)
+        };
+    });
+
+    await setJobStatus(job, 'stitching');
+    console.log('Step 4: Stitching videos...');
+    const stitchedVideoPath = path.join(jobDir, 'stitched_video.mp4');
+    const { timeline, normalization, audio } = await stitchVideos(scenes, stitchedVideoPath, normalize, stageProgress(job, 'stitching'));
+    const textFilters = await buildTextOverlayFilters(resolveSceneCaptions(text_overlays, timeline), await getVideoDimensions(stitchedVideoPath), jobDir);
+
+    await setJobStatus(job, 'mixing');
+    console.log('Step 5: Trimming music...');
+    const musicPlan = planMusicTrack(music_options, await getVideoDuration(stitchedVideoPath), await getVideoDuration(audioPath));
+    const { looped } = await trimAudio(audioPath, trimmedAudioPath, musicPlan, stageProgress(job, 'trimming'));
+
+    console.log('Step 6: Adding audio and overlay to final video...');
+    const finalVideoPath = path.join(OUTPUT_DIR, `final_video_${job.jobId}.mp4`);
+    job.outputs.video = finalVideoPath;
+    await addAudioAndOverlayToVideo(stitchedVideoPath, trimmedAudioPath, finalVideoPath, overlayLayers, textFilters, { outputDuration: musicPlan.outputDuration, ...resolveMixOptions(mix_options) }, stageProgress(job, 'mixing'));
+
+    const finalDuration = await getVideoDuration(finalVideoPath);
+    const loudness = await measureLoudness(finalVideoPath);
+    const stats = await fs.stat(finalVideoPath);
+    const renditions = await renderJobRenditions(job, finalVideoPath, outputs);
+    const previewUrls = await renderJobPreviews(job, finalVideoPath, previews, timeline);
+    const hlsPackage = await packageJobHls(job, finalVideoPath, hls);
+
+    await fs.rm(jobDir, { recursive: true, force: true });
+
+    return {
+        downloadUrl: resultUrl(`/download/${job.jobId}`),
+        streamUrl: resultUrl(`/stream/${job.jobId}`),
+        finalVideoUrl: await publishJobOutput(job, 'video', `${job.baseUrl}/download/${job.jobId}`, { attachment: true }),
+        urlsExpireAt: storageUrlsExpireAt(),
+        hlsUrl: hlsPackage ? `${job.baseUrl}/hls/${job.jobId}/master.m3u8` : undefined,
+        hls: hlsPackage || undefined,
+        videoStats: {
+            duration: finalDuration,
+            fileSize: stats.size,
+            fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2),
+            loudness: loudness
+        },
+        previews: previewUrls,
+        processedVideos: videos.length,
+        sceneOrder: timeline,
+        normalization: normalization,
+        sceneAudio: audio,
+        music: { ...musicPlan, looped: looped },
+        mix: resolveMixOptions(mix_options),
+        overlayApplied: layers.length > 0,
+        overlays: layers.length,
+        textOverlays: text_overlays ? text_overlays.length : 0,
+        renditions: renditions,
+        message: `Successfully processed ${videos.length} videos with ${musicPlan.duration.toFixed(1)}-second audio track${layers.length > 0 ? ` and ${layers.length} image overlay${layers.length > 1 ? 's' : ''}` : ''}`
+    };
+}
+
+app.post('/api/stitch-videos', requireJobSlot, acceptUploads, validateBody('StitchVideosRequest'), async (req, res) => {
+    const { videos, callback_url, overlay_options, overlays, text_overlays, normalize, outputs } = req.body;
+
+    const ruleError = validateScenes(videos) ||
+        validateNormalizeOptions(normalize) ||
+        validateOverlayOptions(overlay_options) ||
+        validateOverlays(overlays) ||
+        validateTextOverlays(text_overlays, { sceneNumbers: videos.map(video => parseSceneNumber(video.scene_number)) }) ||
+        validateOutputs(outputs) ||
+        validateCallbackUrl(callback_url);
+    if (ruleError) {
+        return rejectInvalid(res, ruleError);
+    }
+
+    const job = await createRequestJob(req, 'stitch-videos', req.body);
+    console.log(`Queued video stitching job ${job.jobId}`);
+    enqueueJob(job);
+
+    res.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/status/${job.jobId}`,
+        message: `Stitching job queued for ${videos.length} videos`
+    });
+});
+
+async function processCreateVideoJob(job) {
+    const { username, tweet, imageUrl, imageFile, musicUrl } = job.request;
+
+    const jobDir = path.join(TEMP_DIR, job.jobId);
+    await fs.mkdir(jobDir, { recursive: true });
+
+    await setJobStatus(job, 'downloading');
+    let imagePath = null;
+    if (imageFile) {
+        console.log('Step 1: Using uploaded image...');
+        imagePath = path.join(jobDir, 'image');
+        await fs.rename(imageFile.path, imagePath);
+        await validateDownloadedFile(imagePath, 'image', 'image');
+    } else if (imageUrl) {
+        console.log('Step 1: Downloading image...');
+        imagePath = path.join(jobDir, 'image');
+        await downloadJobInput(job, imageUrl, imagePath, 'image', 'image');
+    }
+
+    let audioPath = null;
+    if (musicUrl || CREATE_VIDEO_MUSIC_URL) {
+        console.log('Step 2: Downloading music...');
+        audioPath = path.join(jobDir, 'audio.mp3');
+        await downloadJobInput(job, musicUrl || CREATE_VIDEO_MUSIC_URL, audioPath, 'audio', 'music');
+    }
+
+    await setJobStatus(job, 'rendering');
+    console.log('Step 3: Rendering text card video...');
+    const finalVideoPath = path.join(OUTPUT_DIR, `final_video_${job.jobId}.mp4`);
+    job.outputs.video = finalVideoPath;
+    await renderTextCardVideo(imagePath, audioPath, finalVideoPath, { username: username, message: tweet }, jobDir, stageProgress(job, 'rendering'));
+
+    const finalDuration = await getVideoDuration(finalVideoPath);
+    const stats = await fs.stat(finalVideoPath);
+
+    await fs.rm(jobDir, { recursive: true, force: true });
+
+    const finalVideoUrl = await publishJobOutput(job, 'video', `${job.baseUrl}/download/${job.jobId}`, { attachment: true });
+
+    return {
+        downloadUrl: resultUrl(`/download/${job.jobId}`),
+        streamUrl: resultUrl(`/stream/${job.jobId}`),
+        finalVideoUrl: finalVideoUrl,
+        final_stitch_video: finalVideoUrl,
+        urlsExpireAt: storageUrlsExpireAt(),
+        videoStats: {
+            duration: finalDuration,
+            fileSize: stats.size,
+            fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2)
+        },
+        imageApplied: !!imagePath,
+        message: `Successfully created ${CREATE_VIDEO_DURATION}-second video for @${username}`
+    };
+}
+
+app.post('/api/create-video', requireJobSlot, (req, res, next) => {
+    upload.single('image')(req, res, (error) => {
+        res.on('finish', () => {
+            if (res.statusCode >= 400 && req.file) {
+                removeUpload(req.file.uploadId).catch(() => {});
+            }
+        });
+
+        if (error) {
+            return res.status(error.statusCode || 400).json({ error: `Invalid upload: ${error.message}` });
+        }
+        next();
+    });
+}, validateBody('CreateVideoRequest'), async (req, res) => {
+    const { username, tweet, imageUrl, musicUrl } = req.body;
+
+    if (req.file && req.file.mediaType !== 'image') {
+        return res.status(400).json({ 
+            error: 'Invalid input. Uploaded file must be an image' 
+        });
+    }
+
+    const job = await createRequestJob(req, 'create-video', {
+        username: String(username).replace(/^@/, ''),
+        tweet: String(tweet),
+        imageUrl: imageUrl || null,
+        musicUrl: musicUrl || null,
+        imageFile: req.file ? {
+            originalName: req.file.originalname,
+            mimetype: req.file.mimetype,
+            size: req.file.size,
+            path: req.file.path
+        } : null,
+        uploads: req.file ? [req.file.uploadId] : []
+    });
+    console.log(`Queued create-video job ${job.jobId}`);
+    enqueueJob(job);
 
-        const jobDir = path.join(TEMP_DIR, jobId);
-        await fs.mkdir(jobDir, { recursive: true });
+    res.status(202).json({
+        success: true,
+        uuid: job.jobId,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/status/${job.jobId}`,
+        message: 'Video creation job queued'
+    });
+});
 
-        console.log('Step 1: Downloading video...');
-        const videoPath = path.join(jobDir, 'input_video.mp4');
-        await downloadFile(final_stitch_video, videoPath);
+// Resumable uploads: create with the final size, PUT chunks with Content-Range, then reference the upload_id from a job
+app.post('/api/uploads', validateBody('CreateUploadRequest'), async (req, res) => {
+    try {
+        const { filename, size, content_type } = req.body;
 
-        console.log('Step 2: Processing audio...');
-        const audioPath = path.join(jobDir, 'audio.mp3');
-        const trimmedAudioPath = path.join(jobDir, 'audio_trimmed.mp3');
-        await downloadFile(final_music_url, audioPath);
-        await trimAudio(audioPath, trimmedAudioPath, 60);
+        const mediaType = uploadMediaType(filename, content_type);
+        if (!mediaType) {
+            return res.status(400).json({
+                error: 'Invalid input. Uploads must be video, audio or image files'
+            });
+        }
 
-        let overlayImagePath = null;
-        if (overlay_image_url) {
-            console.log('Step 3: Downloading overlay image...');
-            overlayImagePath = path.join(jobDir, 'overlay_image.png');
-            await downloadFile(overlay_image_url, overlayImagePath);
+        if (size > UPLOAD_LIMITS_MB[mediaType] * 1024 * 1024) {
+            return res.status(413).json({
+                error: `Upload exceeds the ${UPLOAD_LIMITS_MB[mediaType]} MB limit for ${mediaType} uploads`
+            });
         }
 
-        console.log('Step 4: Adding audio and overlay...');
-        const finalVideoPath = path.join(OUTPUT_DIR, `final_video_${jobId}.mp4`);
-        await addAudioAndOverlayToVideo(videoPath, trimmedAudioPath, finalVideoPath, overlayImagePath, overlay_options || {});
+        const now = new Date();
+        const record = {
+            uploadId: uuidv4(),
+            filename: path.basename(filename),
+            mediaType: mediaType,
+            contentType: content_type || null,
+            size: size,
+            owner: req.apiKey ? req.apiKey.name : null,
+            createdAt: now.toISOString(),
+            expiresAt: UPLOAD_TTL_HOURS ? new Date(now.getTime() + UPLOAD_TTL_HOURS * 3600 * 1000).toISOString() : null
+        };
+        await fs.writeFile(uploadPath(record.uploadId), '');
+        await writeUploadRecord(record);
+        console.log(`Created upload ${record.uploadId} for ${record.filename} (${size} bytes)`);
 
-        const finalDuration = await getVideoDuration(finalVideoPath);
-        const stats = await fs.stat(finalVideoPath);
+        res.status(201).json(await describeUpload(record));
 
-        await fs.rm(jobDir, { recursive: true, force: true });
+    } catch (error) {
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
 
-        console.log(`Job ${jobId} completed successfully`);
+app.put('/api/uploads/:uploadId', async (req, res) => {
+    const { uploadId } = req.params;
+    const record = await readUploadRecord(uploadId);
 
-        res.json({
-            success: true,
-            jobId: jobId,
-            downloadUrl: `/download/${jobId}`,
-            finalVideoUrl: `${req.protocol}://${req.get('host')}/download/${jobId}`,
-            videoStats: {
-                duration: finalDuration,
-                fileSize: stats.size,
-                fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2)
-            },
-            overlayApplied: !!overlay_image_url,
-            message: 'Successfully added audio and overlay to video'
+    if (!record) {
+        return res.status(404).json({
+            error: 'Upload not found',
+            uploadId: uploadId
         });
+    }
 
-    } catch (error) {
-        console.error(`Job ${jobId} failed:`, error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            jobId: jobId
+    if (activeUploadWrites.has(uploadId)) {
+        return res.status(409).json({
+            error: 'Another chunk is still being written to this upload',
+            uploadId: uploadId
         });
     }
-});
 
-app.post('/api/add-image-overlay', async (req, res) => {
-    const jobId = uuidv4();
-    console.log(`Starting image overlay job ${jobId}`);
-    
-    try {
-        const { final_image_url, overlay_image_url, overlay_options } = req.body;
-        
-        if (!final_image_url || !overlay_image_url) {
-            return res.status(400).json({ 
-                error: 'Invalid input. Expected final_image_url and overlay_image_url' 
+    const receivedBytes = await uploadReceivedBytes(uploadId);
+    let start = receivedBytes;
+    const contentRange = req.get('Content-Range');
+
+    if (contentRange) {
+        const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange.trim());
+        if (!match || Number(match[2]) < Number(match[1]) || (match[3] !== '*' && Number(match[3]) !== record.size)) {
+            return res.status(400).json({
+                error: `Invalid input. Content-Range must be "bytes start-end/${record.size}"`
             });
         }
+        start = Number(match[1]);
+    }
+
+    // Chunks may overlap what is already stored so a client can retry the last one, but never leave a gap
+    if (start > receivedBytes) {
+        return res.status(409).json({
+            error: `Chunk starts at byte ${start} but only ${receivedBytes} bytes have been received`,
+            ...(await describeUpload(record))
+        });
+    }
+
+    activeUploadWrites.add(uploadId);
+    let written = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, next) {
+            written += chunk.length;
+            if (start + written > record.size) {
+                const error = new Error(`Chunk runs past the declared size of ${record.size} bytes`);
+                error.statusCode = 413;
+                return next(error);
+            }
+            next(null, chunk);
+        }
+    });
 
-        const jobDir = path.join(TEMP_DIR, jobId);
-        await fs.mkdir(jobDir, { recursive: true });
+    pipeline(req, counter, require('fs').createWriteStream(uploadPath(uploadId), { flags: 'r+', start: start }), async (error) => {
+        try {
+            // Whatever part of the chunk reached disk is kept; the client resumes from receivedBytes
+            if (error) {
+                return res.status(error.statusCode || 400).json({
+                    error: `Invalid upload: ${error.message}`,
+                    ...(await describeUpload(record))
+                });
+            }
 
-        console.log('Step 1: Downloading base image...');
-        const baseImagePath = path.join(jobDir, 'base_image.png');
-        await downloadFile(final_image_url, baseImagePath);
+            if (UPLOAD_TTL_HOURS) {
+                record.expiresAt = new Date(Date.now() + UPLOAD_TTL_HOURS * 3600 * 1000).toISOString();
+                await writeUploadRecord(record);
+            }
 
-        console.log('Step 2: Downloading overlay image...');
-        const overlayImagePath = path.join(jobDir, 'overlay_image.png');
-        await downloadFile(overlay_image_url, overlayImagePath);
+            res.json(await describeUpload(record));
+        } catch (writeError) {
+            res.status(500).json({
+                error: writeError.message
+            });
+        } finally {
+            activeUploadWrites.delete(uploadId);
+        }
+    });
+});
 
-        console.log('Step 3: Adding overlay to image...');
-        const finalImagePath = path.join(OUTPUT_DIR, `final_image_${jobId}.png`);
-        await addOverlayToImage(baseImagePath, overlayImagePath, finalImagePath, overlay_options || {});
+app.get('/api/uploads/:uploadId', async (req, res) => {
+    const record = await readUploadRecord(req.params.uploadId);
 
-        const stats = await fs.stat(finalImagePath);
+    if (!record) {
+        return res.status(404).json({
+            error: 'Upload not found',
+            uploadId: req.params.uploadId
+        });
+    }
 
-        await fs.rm(jobDir, { recursive: true, force: true });
+    res.json(await describeUpload(record));
+});
 
-        console.log(`Image overlay job ${jobId} completed successfully`);
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+    const { uploadId } = req.params;
+    const record = await readUploadRecord(uploadId);
 
-        res.json({
-            success: true,
-            jobId: jobId,
-            downloadUrl: `/download-image/${jobId}`,
-            finalImageUrl: `${req.protocol}://${req.get('host')}/download-image/${jobId}`,
-            imageStats: {
-                fileSize: stats.size,
-                fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2)
-            },
-            overlayApplied: true,
-            message: 'Successfully added overlay to image'
+    if (!record) {
+        return res.status(404).json({
+            error: 'Upload not found',
+            uploadId: uploadId
         });
+    }
 
-    } catch (error) {
-        console.error(`Image overlay job ${jobId} failed:`, error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            jobId: jobId
+    if (activeUploadWrites.has(uploadId)) {
+        return res.status(409).json({
+            error: 'A chunk is still being written to this upload',
+            uploadId: uploadId
         });
     }
+
+    await removeUpload(uploadId);
+    res.json({
+        success: true,
+        uploadId: uploadId
+    });
 });
 
-app.post('/api/stitch-videos', async (req, res) => {
-    const jobId = uuidv4();
-    console.log(`Starting video stitching job ${jobId}`);
-    
-    try {
-        const { videos, mv_audio, overlay_image_url, overlay_options } = req.body;
-        
-        if (!videos || !Array.isArray(videos) || !mv_audio) {
-            return res.status(400).json({ 
-                error: 'Invalid input. Expected videos array and mv_audio URL' 
-            });
-        }
+const MAX_RANGES = 20;
 
-        const jobDir = path.join(TEMP_DIR, jobId);
-        await fs.mkdir(jobDir, { recursive: true });
+function streamFileRange(filePath, res, start, end) {
+    return new Promise((resolve, reject) => {
+        require('fs').createReadStream(filePath, { start: start, end: end })
+            .on('error', reject)
+            .on('end', resolve)
+            .pipe(res, { end: false });
+    });
+}
 
-        console.log('Step 1: Processing audio...');
-        const audioPath = path.join(jobDir, 'audio.mp3');
-        const trimmedAudioPath = path.join(jobDir, 'audio_trimmed.mp3');
-        await downloadFile(mv_audio, audioPath);
-        await trimAudio(audioPath, trimmedAudioPath, 60);
+// Serves a file with ETag/Last-Modified validation and single or multipart byte ranges
+async function sendFileWithRanges(req, res, filePath, contentType, headers = {}) {
+    const stats = await fs.stat(filePath);
+    const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
 
-        let overlayImagePath = null;
-        if (overlay_image_url) {
-            console.log('Step 2: Downloading overlay image...');
-            overlayImagePath = path.join(jobDir, 'overlay_image.png');
-            await downloadFile(overlay_image_url, overlayImagePath);
-        }
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
 
-        console.log('Step 3: Sorting and downloading videos...');
-        const sortedVideos = videos.sort((a, b) => {
-            const sceneA = parseInt(a.scene_number, 10);
-            const sceneB = parseInt(b.scene_number, 10);
-            return sceneA - sceneB;
-        });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
 
-        console.log('Video processing order:', sortedVideos.map(v => `Scene ${v.scene_number}`).join(' -> '));
+    let ranges = req.headers.range ? req.range(stats.size, { combine: true }) : null;
 
-        const videoPaths = [];
-        for (let i = 0; i < sortedVideos.length; i++) {
-            const video = sortedVideos[i];
-            const videoPath = path.join(jobDir, `video_${String(video.scene_number).padStart(3, '0')}.mp4`);
-            await downloadFile(video.final_video_url, videoPath);
-            videoPaths.push(videoPath);
-            console.log(`Downloaded video ${i + 1}/${sortedVideos.length}: Scene ${video.scene_number}`);
+    // A stale If-Range means the client's partial copy is outdated, so it gets the whole file
+    const ifRange = req.headers['if-range'];
+    if (ranges && ifRange) {
+        const matches = ifRange.includes('"')
+            ? ifRange === etag
+            : Math.floor(stats.mtimeMs / 1000) <= Date.parse(ifRange) / 1000;
+        if (!matches) {
+            ranges = null;
         }
+    }
 
-        console.log('Step 4: Stitching videos...');
-        const stitchedVideoPath = path.join(jobDir, 'stitched_video.mp4');
-        await stitchVideos(videoPaths, stitchedVideoPath);
+    // Malformed headers, other units and excessive range counts are ignored rather than rejected
+    if (ranges === -2 || (Array.isArray(ranges) && (ranges.type !== 'bytes' || ranges.length > MAX_RANGES))) {
+        ranges = null;
+    }
 
-        console.log('Step 5: Adding audio and overlay to final video...');
-        const finalVideoPath = path.join(OUTPUT_DIR, `final_video_${jobId}.mp4`);
-        await addAudioAndOverlayToVideo(stitchedVideoPath, trimmedAudioPath, finalVideoPath, overlayImagePath, overlay_options || {});
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
 
-        const finalDuration = await getVideoDuration(finalVideoPath);
-        const stats = await fs.stat(finalVideoPath);
+    if (!ranges) {
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Length', stats.size);
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+        return require('fs').createReadStream(filePath).pipe(res);
+    }
 
-        await fs.rm(jobDir, { recursive: true, force: true });
+    if (ranges.length === 1) {
+        const { start, end } = ranges[0];
+        res.status(206);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+        res.setHeader('Content-Length', end - start + 1);
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+        return require('fs').createReadStream(filePath, { start: start, end: end }).pipe(res);
+    }
 
-        console.log(`Job ${jobId} completed successfully`);
+    const boundary = crypto.randomBytes(16).toString('hex');
+    const parts = ranges.map((range, index) => ({
+        ...range,
+        header: `${index > 0 ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${stats.size}\r\n\r\n`
+    }));
+    const closing = `\r\n--${boundary}--\r\n`;
+    const contentLength = parts.reduce((total, part) => total + Buffer.byteLength(part.header) + part.end - part.start + 1, Buffer.byteLength(closing));
 
-        res.json({
-            success: true,
-            jobId: jobId,
-            downloadUrl: `/download/${jobId}`,
-            finalVideoUrl: `${req.protocol}://${req.get('host')}/download/${jobId}`,
-            videoStats: {
-                duration: finalDuration,
-                fileSize: stats.size,
-                fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2)
-            },
-            processedVideos: videos.length,
-            sceneOrder: sortedVideos.map(v => parseInt(v.scene_number, 10)),
-            overlayApplied: !!overlay_image_url,
-            message: `Successfully processed ${videos.length} videos with 1-minute audio track${overlay_image_url ? ' and image overlay' : ''}`
-        });
+    res.status(206);
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', contentLength);
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
 
+    try {
+        for (const part of parts) {
+            res.write(part.header);
+            await streamFileRange(filePath, res, part.start, part.end);
+        }
+        res.end(closing);
     } catch (error) {
-        console.error(`Job ${jobId} failed:`, error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            jobId: jobId
-        });
+        console.error('Multipart range response error:', error);
+        res.destroy(error);
     }
-});
+}
+
+// Renditions requested through outputs are served from the same routes under their name
+function videoOutputFile(jobId, rendition) {
+    if (rendition !== undefined && !/^[a-z0-9-]{1,32}$/.test(rendition)) {
+        return null;
+    }
+    return rendition ? `final_video_${jobId}_${rendition}.mp4` : `final_video_${jobId}.mp4`;
+}
 
-app.get('/download/:jobId', async (req, res) => {
+app.get('/download/:jobId/:rendition?', async (req, res) => {
     try {
-        const { jobId } = req.params;
-        const filePath = path.join(OUTPUT_DIR, `final_video_${jobId}.mp4`);
+        const { jobId, rendition } = req.params;
+        const fileName = videoOutputFile(jobId, rendition);
+        if (!fileName) {
+            return res.status(404).json({ error: 'Video file not found or not accessible' });
+        }
+        if (await redirectToStoredOutput(res, jobId, rendition ? `renditions.${rendition}` : 'video', { attachment: true })) {
+            return;
+        }
+        const filePath = path.join(OUTPUT_DIR, fileName);
         
         await fs.access(filePath);
-        const stats = await fs.stat(filePath);
-        
-        res.setHeader('Content-Type', 'video/mp4');
-        res.setHeader('Content-Disposition', `attachment; filename="final_video_${jobId}.mp4"`);
-        res.setHeader('Content-Length', stats.size);
-        
-        const fileStream = require('fs').createReadStream(filePath);
-        fileStream.pipe(res);
+        await sendFileWithRanges(req, res, filePath, 'video/mp4', {
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
         
     } catch (error) {
         res.status(404).json({ 
@@ -557,14 +4428,18 @@ app.get('/download/:jobId', async (req, res) => {
 app.get('/download-image/:jobId', async (req, res) => {
     try {
         const { jobId } = req.params;
+        const job = await jobRepository.get(jobId);
         const filePath = path.join(OUTPUT_DIR, `final_image_${jobId}.png`);
         
-        await fs.access(filePath);
+        if (!(job && job.storage && job.storage.image)) {
+            await fs.access(filePath);
+        }
         
         // Return URL instead of binary data
+        const imageUrl = `${req.protocol}://${req.get('host')}/serve-image/${jobId}`;
         res.json({
             success: true,
-            imageUrl: `${req.protocol}://${req.get('host')}/serve-image/${jobId}`,
+            imageUrl: resultUrl(imageUrl),
             jobId: jobId
         });
         
@@ -580,16 +4455,13 @@ app.get('/download-image/:jobId', async (req, res) => {
 app.get('/serve-image/:jobId', async (req, res) => {
     try {
         const { jobId } = req.params;
+        if (await redirectToStoredOutput(res, jobId, 'image')) {
+            return;
+        }
         const filePath = path.join(OUTPUT_DIR, `final_image_${jobId}.png`);
         
         await fs.access(filePath);
-        const stats = await fs.stat(filePath);
-        
-        res.setHeader('Content-Type', 'image/png');
-        res.setHeader('Content-Length', stats.size);
-        
-        const fileStream = require('fs').createReadStream(filePath);
-        fileStream.pipe(res);
+        await sendFileWithRanges(req, res, filePath, 'image/png');
         
     } catch (error) {
         res.status(404).json({ 
@@ -599,20 +4471,76 @@ app.get('/serve-image/:jobId', async (req, res) => {
     }
 });
 
-app.get('/stream/:jobId', async (req, res) => {
+const PREVIEW_CONTENT_TYPES = { '.jpg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+// Preview files are looked up through the job record since their format is chosen per job
+function servePreviewFile(outputKey, label) {
+    return async (req, res) => {
+        try {
+            const job = await jobRepository.get(req.params.jobId);
+            const filePath = job && job.outputs[outputKey];
+            if (!filePath) {
+                return res.status(404).json({ error: `${label} not found for this job` });
+            }
+            if (await redirectToStoredOutput(res, job.jobId, outputKey)) {
+                return;
+            }
+
+            await fs.access(filePath);
+            await sendFileWithRanges(req, res, filePath, PREVIEW_CONTENT_TYPES[path.extname(filePath)]);
+
+        } catch (error) {
+            res.status(404).json({
+                error: `${label} not found or not accessible`,
+                details: error.message
+            });
+        }
+    };
+}
+
+app.get('/poster/:jobId', servePreviewFile('poster', 'Poster'));
+app.get('/contact-sheet/:jobId', servePreviewFile('contactSheet', 'Contact sheet'));
+app.get('/preview/:jobId', servePreviewFile('preview', 'Preview'));
+
+// Playlists and segments are resolved inside the job's package directory only
+app.get('/hls/:jobId/*', async (req, res) => {
     try {
-        const { jobId } = req.params;
-        const filePath = path.join(OUTPUT_DIR, `final_video_${jobId}.mp4`);
-        
+        const job = await jobRepository.get(req.params.jobId);
+        if (!job || !job.outputs.hls) {
+            return res.status(404).json({ error: 'HLS package not found for this job' });
+        }
+
+        const filePath = path.resolve(job.outputs.hls, req.params[0]);
+        const contentType = HLS_CONTENT_TYPES[path.extname(filePath)];
+        if (!filePath.startsWith(`${path.resolve(job.outputs.hls)}${path.sep}`) || !contentType) {
+            return res.status(404).json({ error: 'HLS file not found' });
+        }
+
         await fs.access(filePath);
-        const stats = await fs.stat(filePath);
-        
-        res.setHeader('Content-Type', 'video/mp4');
-        res.setHeader('Content-Length', stats.size);
-        res.setHeader('Accept-Ranges', 'bytes');
+        await sendFileWithRanges(req, res, filePath, contentType);
+
+    } catch (error) {
+        res.status(404).json({
+            error: 'HLS file not found or not accessible',
+            details: error.message
+        });
+    }
+});
+
+app.get('/stream/:jobId/:rendition?', async (req, res) => {
+    try {
+        const { jobId, rendition } = req.params;
+        const fileName = videoOutputFile(jobId, rendition);
+        if (!fileName) {
+            return res.status(404).json({ error: 'Video file not found or not accessible' });
+        }
+        if (await redirectToStoredOutput(res, jobId, rendition ? `renditions.${rendition}` : 'video')) {
+            return;
+        }
+        const filePath = path.join(OUTPUT_DIR, fileName);
         
-        const fileStream = require('fs').createReadStream(filePath);
-        fileStream.pipe(res);
+        await fs.access(filePath);
+        await sendFileWithRanges(req, res, filePath, 'video/mp4');
         
     } catch (error) {
         res.status(404).json({ 
@@ -622,38 +4550,218 @@ app.get('/stream/:jobId', async (req, res) => {
     }
 });
 
-app.get('/api/status/:jobId', async (req, res) => {
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+        const { jobs, total } = await jobRepository.list({
+            status: req.query.status,
+            type: req.query.type,
+            since: req.query.since,
+            until: req.query.until,
+            owner: req.apiKey && !req.apiKey.admin ? req.apiKey.name : undefined,
+            limit: limit,
+            offset: offset
+        });
+
+        res.json({
+            total: total,
+            limit: limit,
+            offset: offset,
+            jobs: jobs.map(job => ({
+                jobId: job.jobId,
+                type: job.type,
+                status: job.status,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
+                completedAt: job.completedAt,
+                error: job.error || undefined,
+                statusUrl: `/api/status/${job.jobId}`
+            }))
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/jobs/:jobId/events', async (req, res) => {
+    const { jobId } = req.params;
+    const job = await jobRepository.get(jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found',
+            jobId: jobId
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('status', { status: job.status, at: job.updatedAt });
+
+    if (job.status === 'completed' || job.status === 'failed') {
+        send(job.status, job.status === 'completed' ? job.result : { error: job.error });
+        return res.end();
+    }
+
+    const listener = ({ event, data }) => {
+        send(event, data);
+        if (event === 'completed' || event === 'failed') {
+            res.end();
+        }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    jobEvents.on(jobId, listener);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        jobEvents.off(jobId, listener);
+    });
+});
+
+app.delete('/api/jobs/:jobId', async (req, res) => {
     try {
         const { jobId } = req.params;
-        const filePath = path.join(OUTPUT_DIR, `final_video_${jobId}.mp4`);
-        
-        try {
-            await fs.access(filePath);
-            const stats = await fs.stat(filePath);
-            const duration = await getVideoDuration(filePath);
-            
-            res.json({
-                status: 'completed',
-                jobId: jobId,
-                completed: true,
-                downloadUrl: `/download/${jobId}`,
-                streamUrl: `/stream/${jobId}`,
-                finalVideoUrl: `${req.protocol}://${req.get('host')}/download/${jobId}`,
-                videoStats: {
-                    duration: duration,
-                    fileSize: stats.size,
-                    fileSizeMB: (stats.size / (1024 * 1024)).toFixed(2),
-                    createdAt: stats.birthtime
-                }
+        const job = await jobRepository.get(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId: jobId
             });
-        } catch (error) {
-            res.json({
-                status: 'processing',
+        }
+
+        if (ACTIVE_JOB_STATES.includes(job.status)) {
+            return res.status(409).json({
+                error: `Job is ${job.status} and cannot be deleted until it finishes`,
+                jobId: jobId
+            });
+        }
+
+        const queueIndex = jobQueue.findIndex(queued => queued.jobId === jobId);
+        if (queueIndex >= 0) {
+            jobQueue.splice(queueIndex, 1);
+        }
+
+        const removedOutputs = await removeJobOutputs(job);
+        await cleanupJobTemp(job);
+        await jobRepository.remove(jobId);
+        console.log(`Deleted job ${jobId} and ${removedOutputs} output(s)`);
+
+        res.json({
+            success: true,
+            jobId: jobId,
+            removedOutputs: removedOutputs
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Mints fresh signed links for a finished job's outputs, e.g. to hand to an end user without an API key
+app.post('/api/jobs/:jobId/links', validateBody('CreateLinksRequest'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+
+        if (!SIGNED_URL_SECRET) {
+            return res.status(503).json({
+                error: 'Signed URLs are not available: SIGNED_URL_SECRET is not configured on the server'
+            });
+        }
+
+        const job = await jobRepository.get(jobId);
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId: jobId
+            });
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                error: `Job is ${job.status}; links can only be made for completed jobs`,
+                jobId: jobId
+            });
+        }
+
+        const ttlSeconds = req.body.expires_in || SIGNED_URL_TTL_SECONDS;
+        const links = mintJobLinks(job, `${req.protocol}://${req.get('host')}`, ttlSeconds);
+        if (Object.keys(links).length === 0) {
+            return res.status(410).json({
+                error: job.expiredAt ? 'Job outputs have expired' : 'Job has no outputs to link to',
+                jobId: jobId
+            });
+        }
+
+        res.status(201).json({
+            jobId: jobId,
+            expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+            ...links
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/status/:jobId', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await jobRepository.get(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                status: 'not_found',
                 jobId: jobId,
                 completed: false,
-                message: 'Video is still being processed or job not found'
+                error: 'Job not found'
             });
         }
+
+        const queueIndex = jobQueue.findIndex(queued => queued.jobId === jobId);
+
+        // The Luna page polls for the create-video pipeline's own status vocabulary
+        const legacyFields = job.type === 'create-video' ? {
+            status: job.status === 'completed' ? 'stitched' : job.status,
+            error_message: job.error || undefined
+        } : {};
+
+        res.json({
+            status: job.status,
+            jobId: job.jobId,
+            type: job.type,
+            completed: job.status === 'completed',
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            queuePosition: queueIndex >= 0 ? queueIndex + 1 : undefined,
+            steps: job.steps,
+            webhook: job.webhook || undefined,
+            error: job.error || undefined,
+            expiredAt: job.expiredAt || undefined,
+            expiredReason: job.expiredReason || undefined,
+            ...(job.result || {}),
+            ...legacyFields
+        });
         
     } catch (error) {
         res.status(500).json({
@@ -673,30 +4781,137 @@ app.get('/health', (req, res) => {
     });
 });
 
-app.get('/', (req, res) => {
-    res.json({
-        service: 'Integrated Video Processing Service',
-        version: '5.0.0',
-        endpoints: {
-            addOverlay: 'POST /api/add-overlay (single video + audio + overlay)',
-            addImageOverlay: 'POST /api/add-image-overlay (image + overlay)',
-            stitchVideos: 'POST /api/stitch-videos (multiple videos + audio + overlay)',
-            download: 'GET /download/:jobId (download video file)',
-            downloadImage: 'GET /download-image/:jobId (download image file)',
-            stream: 'GET /stream/:jobId (stream video in browser)',
-            status: 'GET /api/status/:jobId (check job status)',
-            health: 'GET /health'
+// GET / and GET /openapi.json publish this list as an OpenAPI document, with request bodies taken from REQUEST_SCHEMAS
+const API_ROUTES = [
+    { method: 'post', path: '/api/create-video', summary: 'Queue a video made from a username, tweet and image', body: 'CreateVideoRequest', multipart: true, createsJob: true, responses: { 202: 'Job queued' } },
+    { method: 'post', path: '/api/add-overlay', summary: 'Queue a single video + audio + overlay job', body: 'AddOverlayRequest', multipart: true, createsJob: true, responses: { 202: 'Job queued' } },
+    { method: 'post', path: '/api/add-image-overlay', summary: 'Layer overlays and text on an image', body: 'AddImageOverlayRequest', multipart: true, createsJob: true, responses: { 200: 'Image rendered', 500: 'Rendering failed' } },
+    { method: 'post', path: '/api/stitch-videos', summary: 'Queue a multiple videos + audio + overlay job', body: 'StitchVideosRequest', multipart: true, createsJob: true, responses: { 202: 'Job queued' } },
+    { method: 'post', path: '/api/uploads', summary: 'Start a resumable upload', body: 'CreateUploadRequest', responses: { 201: 'Upload created', 413: 'Upload exceeds the limit for its media type' } },
+    { method: 'put', path: '/api/uploads/:uploadId', summary: 'Send the next chunk of an upload with Content-Range', rawBody: true, responses: { 200: 'Chunk stored', 404: 'Upload not found', 409: 'Chunk does not start where the upload left off or another chunk is being written', 413: 'Chunk runs past the declared size' } },
+    { method: 'get', path: '/api/uploads/:uploadId', summary: 'Upload progress', responses: { 200: 'Upload record', 404: 'Upload not found' } },
+    { method: 'delete', path: '/api/uploads/:uploadId', summary: 'Discard an upload', responses: { 200: 'Upload removed', 404: 'Upload not found', 409: 'A chunk is still being written' } },
+    { method: 'get', path: '/api/status/:jobId', summary: 'Job status: queued, downloading, stitching, mixing, rendering, completed or failed', responses: { 200: 'Job status', 404: 'Job not found' } },
+    { method: 'get', path: '/api/jobs', summary: 'List jobs', query: ['status', 'type', 'since', 'until', 'limit', 'offset'], responses: { 200: 'Jobs' } },
+    { method: 'get', path: '/api/jobs/:jobId/events', summary: 'Server-Sent Events: status, download, progress, completed, failed', responses: { 200: 'Event stream', 404: 'Job not found' } },
+    { method: 'post', path: '/api/jobs/:jobId/links', summary: 'Mint signed, expiring links to a completed job\'s outputs', body: 'CreateLinksRequest', optionalBody: true, responses: { 201: 'Signed links', 404: 'Job not found', 409: 'Job has not completed', 410: 'Job outputs have expired', 503: 'SIGNED_URL_SECRET is not configured' } },
+    { method: 'delete', path: '/api/jobs/:jobId', summary: 'Remove a queued or finished job with its outputs and temp files', responses: { 200: 'Job removed', 404: 'Job not found', 409: 'Job is running' } },
+    { method: 'get', path: '/download/:jobId', signed: true, summary: 'Download the video', responses: { 200: 'Video file', 302: 'Redirect to stored output', 404: 'Video not found' } },
+    { method: 'get', path: '/download/:jobId/:rendition', signed: true, summary: 'Download a named rendition', responses: { 200: 'Video file', 302: 'Redirect to stored output', 404: 'Rendition not found' } },
+    { method: 'get', path: '/download-image/:jobId', summary: 'Image download link', responses: { 200: 'Image URL', 404: 'Image not found' } },
+    { method: 'get', path: '/serve-image/:jobId', signed: true, summary: 'Serve the image', responses: { 200: 'Image file', 302: 'Redirect to stored output', 404: 'Image not found' } },
+    { method: 'get', path: '/stream/:jobId', signed: true, summary: 'Stream the video in a browser, with range requests', responses: { 200: 'Video stream', 206: 'Partial content', 302: 'Redirect to stored output', 404: 'Video not found' } },
+    { method: 'get', path: '/stream/:jobId/:rendition', signed: true, summary: 'Stream a named rendition', responses: { 200: 'Video stream', 206: 'Partial content', 302: 'Redirect to stored output', 404: 'Rendition not found' } },
+    { method: 'get', path: '/poster/:jobId', summary: 'Poster JPEG', responses: { 200: 'Poster', 404: 'Poster not found' } },
+    { method: 'get', path: '/contact-sheet/:jobId', summary: 'Contact sheet JPEG, one frame per scene', responses: { 200: 'Contact sheet', 404: 'Contact sheet not found' } },
+    { method: 'get', path: '/preview/:jobId', summary: 'Animated GIF or WebP preview', responses: { 200: 'Preview', 404: 'Preview not found' } },
+    { method: 'get', path: '/hls/:jobId/master.m3u8', summary: 'HLS master playlist, variants under v0/, v1/, ...', responses: { 200: 'Playlist', 404: 'HLS package not found' } },
+    { method: 'get', path: '/health', summary: 'Health check', public: true, responses: { 200: 'Service is up' } },
+    { method: 'get', path: '/openapi.json', summary: 'This document', public: true, responses: { 200: 'OpenAPI document' } }
+];
+
+const API_NOTES = [
+    'File inputs can be sent as multipart/form-data: a part named after an input field (final_stitch_video, final_music_url, mv_audio, final_image_url, overlay_image_url) replaces its URL, videos and overlays entries name a part with file, and structured fields are sent as JSON strings. Resumable uploads are referenced with upload_id or upload://<uploadId>.',
+    'Input URLs are fetched with per-type size caps, retries for transient failures and content checks; private and loopback addresses are refused unless listed in DOWNLOAD_ALLOW_HOSTS. Inputs served with an ETag or Last-Modified are cached by content and revalidated per job.',
+    'callback_url receives a signed job.completed or job.failed POST.',
+    'With STORAGE_BACKEND=s3 finished videos and images are uploaded to S3; result URLs are then presigned (see urlsExpireAt) or public and the download routes redirect.',
+    'Outputs expire per type at the expiresAt in each result and the oldest are evicted past the storage quota.',
+    'Invalid bodies get a 400 with error and errors: [{ field, message }].',
+    'With SIGNED_URL_SECRET set, POST /api/jobs/:jobId/links mints HMAC-signed links to /download, /stream and /serve-image that work without an API key until they expire. SIGNED_URLS=true, which needs API keys, makes results carry signed links.',
+    'When API keys are configured every other route needs one as Authorization: Bearer <key> or X-API-Key. Keys only see their own jobs and uploads (403 otherwise) and get 429 with Retry-After past their requests per minute or concurrent job cap.'
+];
+
+function buildOpenApiDocument() {
+    const paths = {};
+
+    for (const route of API_ROUTES) {
+        const params = (route.path.match(/:\w+/g) || []).map(param => param.slice(1));
+        const operation = {
+            summary: route.summary,
+            parameters: [
+                ...params.map(name => ({ name: name, in: 'path', required: true, schema: { type: 'string' } })),
+                ...(route.query || []).map(name => ({ name: name, in: 'query', required: false, schema: { type: 'string' } })),
+                ...(route.signed ? ['expires', 'signature'].map(name => ({ name: name, in: 'query', required: false, schema: { type: 'string' }, description: 'Set by signed links in place of an API key' })) : [])
+            ],
+            responses: {}
+        };
+
+        if (route.body) {
+            const schema = { $ref: `#/components/schemas/${route.body}` };
+            operation.requestBody = {
+                required: !route.optionalBody,
+                content: {
+                    'application/json': { schema: schema },
+                    ...(route.multipart ? { 'multipart/form-data': { schema: schema } } : {})
+                }
+            };
+            operation.responses[400] = { description: 'Invalid input' };
+        } else if (route.rawBody) {
+            operation.requestBody = { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } };
         }
-    });
+        for (const [status, description] of Object.entries(route.responses)) {
+            operation.responses[status] = { description: description };
+        }
+        if (route.public) {
+            operation.security = [];
+        } else {
+            operation.responses[401] = { description: 'Missing or invalid API key' };
+            if (params.length > 0) {
+                operation.responses[403] = { description: route.signed ? 'Owned by another API key, or an invalid or expired signature' : 'Owned by another API key' };
+            }
+            operation.responses[429] = { description: route.createsJob ? 'Rate limit or concurrent job cap reached, see Retry-After' : 'Rate limit reached, see Retry-After' };
+        }
+
+        const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[openApiPath] = { ...paths[openApiPath], [route.method]: operation };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Integrated Video Processing Service',
+            version: '5.0.0',
+            description: API_NOTES.join('\n\n')
+        },
+        paths: paths,
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        components: {
+            schemas: REQUEST_SCHEMAS,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            }
+        }
+    };
+}
+
+app.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument());
+});
+
+app.get('/', (req, res) => {
+    res.json(buildOpenApiDocument());
 });
 
 async function startServer() {
     await ensureDirectories();
+    apiKeys = await loadApiKeys();
+    // Without keys anyone could list jobs and mint links for them, so signing would protect nothing
+    if (SIGNED_URLS && apiKeys.size === 0) {
+        throw new Error('SIGNED_URLS needs API keys (API_KEYS or API_KEYS_FILE)');
+    }
+    if (apiKeys.size === 0) {
+        console.warn('No API keys configured (API_KEYS or API_KEYS_FILE); every route is open');
+    }
+    await jobRepository.init();
+    await recoverJobs();
+    runRetentionSweep();
+    setInterval(runRetentionSweep, RETENTION_SWEEP_INTERVAL_MS).unref();
     
     app.listen(PORT, () => {
         console.log(`Integrated Video Processing Service running on port ${PORT}`);
         console.log(`Health check: http://localhost:${PORT}/health`);
-        console.log(`API documentation: http://localhost:${PORT}/`);
+        console.log(`API documentation: http://localhost:${PORT}/openapi.json`);
     });
 }
 